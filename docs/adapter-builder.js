@@ -0,0 +1,353 @@
+/**
+ * Point-and-click Adapter Builder
+ * Renders a fetched page in a sandboxed preview, lets support staff click one
+ * listing card and then the fields inside it, and turns the clicks into a
+ * JSON adapter config (see DECLARATIVE ADAPTERS in parser/yacht-parser.js).
+ * Depends on list-yacht.js for the fetched pages and results rendering.
+ */
+
+const {
+    parseHtml,
+    createConfigAdapter,
+    buildCardSelector,
+    buildRelativeSelector
+} = window.YachtParser;
+
+const BUILDER_STEPS = [
+    { key: 'card', label: 'Listing card', hint: 'Click anywhere on one yacht listing card.' },
+    { key: 'title', label: 'Title', hint: 'Click the yacht title inside a highlighted card.' },
+    { key: 'price', label: 'Price', hint: 'Click the price inside a highlighted card.' },
+    { key: 'images', label: 'Image', hint: 'Click the main photo inside a highlighted card.' },
+    { key: 'location', label: 'Location', hint: 'Click the location inside a highlighted card.' }
+];
+
+// Highlights use data attributes so they never leak into generated selectors
+const BUILDER_PREVIEW_CSS = `
+    [data-ytb-hover] { outline: 2px dashed #00a3e0 !important; cursor: crosshair !important; }
+    [data-ytb-card] { outline: 2px solid #0066cc !important; outline-offset: 2px; }
+    [data-ytb-field] { background: rgba(255, 214, 0, 0.45) !important; }
+`;
+
+let builder = null;
+
+// ============================================================================
+// PREVIEW
+// ============================================================================
+
+function openAdapterBuilder() {
+    if (fetchedPages.size === 0) {
+        alert('Scan a website first - the builder works on the pages fetched by the last scan.');
+        return;
+    }
+
+    const urls = Array.from(fetchedPages.keys());
+    const pageSelect = document.getElementById('builder-page');
+    pageSelect.innerHTML = urls.map(u => `<option value="${escapeHtml(u)}">${escapeHtml(u)}</option>`).join('');
+
+    // Start on the page the last parse ran on
+    pageSelect.value = lastParseDebug && fetchedPages.has(lastParseDebug.url) ? lastParseDebug.url : urls[0];
+
+    document.getElementById('builder-modal').style.display = 'flex';
+    loadBuilderPage(pageSelect.value);
+}
+
+function closeAdapterBuilder() {
+    document.getElementById('builder-modal').style.display = 'none';
+    document.getElementById('builder-frame').srcdoc = '';
+    builder = null;
+}
+
+function loadBuilderPage(url) {
+    const html = fetchedPages.get(url);
+    builder = { url, html, doc: null, step: 0, cardCandidates: [], cardIndex: 0, fields: {}, message: null };
+
+    // The iframe sandbox blocks scripts; strip them too so the preview is static markup
+    const doc = parseHtml(html, url);
+    doc.querySelectorAll('script').forEach(el => el.remove());
+    const style = doc.createElement('style');
+    style.textContent = BUILDER_PREVIEW_CSS;
+    doc.head.appendChild(style);
+
+    const frame = document.getElementById('builder-frame');
+    frame.onload = () => attachBuilderFrame(frame.contentDocument);
+    frame.srcdoc = '<!DOCTYPE html>' + doc.documentElement.outerHTML;
+
+    refreshBuilder();
+}
+
+function attachBuilderFrame(doc) {
+    if (!builder || !doc) return;
+    builder.doc = doc;
+
+    doc.addEventListener('mouseover', e => e.target.setAttribute('data-ytb-hover', ''));
+    doc.addEventListener('mouseout', e => e.target.removeAttribute('data-ytb-hover'));
+    doc.addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        pickBuilderElement(e.target);
+    }, true);
+
+    refreshBuilder();
+}
+
+// ============================================================================
+// PICKING
+// ============================================================================
+
+function currentCardSelector() {
+    const card = builder.cardCandidates[builder.cardIndex];
+    return card ? card.selector : null;
+}
+
+function pickBuilderElement(el) {
+    const step = BUILDER_STEPS[builder.step];
+    if (!step) return;
+
+    builder.message = null;
+
+    if (step.key === 'card') {
+        const found = buildCardSelector(el);
+        if (!found) {
+            builder.message = 'That element doesn\'t repeat on the page. Click inside a listing card.';
+            refreshBuilder();
+            return;
+        }
+        builder.cardCandidates = found.candidates;
+        builder.cardIndex = found.candidates.indexOf(found.candidates.find(c => c.selector === found.selector));
+        builder.fields = {};
+    } else {
+        const card = el.closest(currentCardSelector());
+        if (!card) {
+            builder.message = 'Click inside one of the highlighted cards.';
+            refreshBuilder();
+            return;
+        }
+
+        const rules = buildFieldRules(step.key, card, el);
+        if (!rules) {
+            builder.message = `Couldn't find a ${step.label.toLowerCase()} there. Click the element itself, not the card edge.`;
+            refreshBuilder();
+            return;
+        }
+        Object.assign(builder.fields, rules);
+    }
+
+    advanceBuilderStep();
+    refreshBuilder();
+}
+
+function hasBackgroundImage(el) {
+    return /url\(/.test(el.getAttribute('style') || '');
+}
+
+/**
+ * Turn a clicked element into field rules relative to its card. The title
+ * also yields a detailUrl rule when it sits in (or wraps) a link.
+ */
+function buildFieldRules(field, card, el) {
+    if (field === 'images') {
+        const img = el.tagName === 'IMG' ? el : el.querySelector('img');
+        if (!img && hasBackgroundImage(el)) {
+            return { images: { selector: buildRelativeSelector(card, el) || undefined, attr: 'background' } };
+        }
+        if (!img) return null;
+        return { images: { selector: buildRelativeSelector(card, img), attr: 'src' } };
+    }
+
+    const selector = buildRelativeSelector(card, el);
+    if (!selector || !el.textContent.trim()) return null;
+
+    const rules = { [field]: { selector } };
+
+    if (field === 'title') {
+        const link = el.closest('a[href]') || el.querySelector('a[href]');
+        if (link && (card.contains(link) || link === card || link.contains(card))) {
+            const linkSelector = card.contains(link) && link !== card ? buildRelativeSelector(card, link) : null;
+            rules.detailUrl = linkSelector ? { selector: linkSelector, attr: 'href' } : { attr: 'href' };
+        }
+    }
+
+    return rules;
+}
+
+function advanceBuilderStep() {
+    // Next step that hasn't been picked yet, or past the end when all are done
+    let next = builder.step + 1;
+    while (next < BUILDER_STEPS.length && builder.fields[BUILDER_STEPS[next].key]) next++;
+    builder.step = next;
+}
+
+function changeCardLevel(delta) {
+    const index = builder.cardIndex + delta;
+    if (index < 0 || index >= builder.cardCandidates.length) return;
+
+    // Field selectors are relative to the card, so they start over
+    builder.cardIndex = index;
+    builder.fields = {};
+    builder.step = 1;
+    builder.message = null;
+    refreshBuilder();
+}
+
+// ============================================================================
+// CONFIG & RESULTS
+// ============================================================================
+
+function buildBuilderConfig() {
+    const host = new URL(builder.url).hostname.replace(/^www\./, '');
+    return {
+        name: host.replace(/\./g, '-'),
+        match: { urlIncludes: [host] },
+        card: currentCardSelector(),
+        fields: builder.fields,
+        specsFrom: [':scope']
+    };
+}
+
+function runBuilderConfig(config) {
+    if (!config.card || !config.fields.title) return null;
+    return createConfigAdapter(config).parse(parseHtml(builder.html, builder.url), builder.url);
+}
+
+function highlightBuilderSelection() {
+    const doc = builder.doc;
+    if (!doc) return;
+
+    doc.querySelectorAll('[data-ytb-card], [data-ytb-field]').forEach(el => {
+        el.removeAttribute('data-ytb-card');
+        el.removeAttribute('data-ytb-field');
+    });
+
+    const cardSelector = currentCardSelector();
+    if (!cardSelector) return;
+
+    doc.querySelectorAll(cardSelector).forEach(card => {
+        card.setAttribute('data-ytb-card', '');
+        Object.values(builder.fields).forEach(rule => {
+            const el = rule.selector ? card.querySelector(rule.selector) : null;
+            if (el) el.setAttribute('data-ytb-field', '');
+        });
+    });
+}
+
+function refreshBuilder() {
+    if (!builder) return;
+
+    const step = BUILDER_STEPS[builder.step];
+    const hint = document.getElementById('builder-hint');
+    hint.textContent = builder.message || (step ? step.hint : 'All fields picked. Check the results, then use or export the adapter.');
+    hint.classList.toggle('error', !!builder.message);
+
+    const cardSelector = currentCardSelector();
+    document.getElementById('builder-steps').innerHTML = BUILDER_STEPS.map((s, i) => {
+        const rule = s.key === 'card' ? (cardSelector && { selector: cardSelector }) : builder.fields[s.key];
+        const status = i === builder.step ? 'active' : rule ? 'done' : '';
+        return `
+            <li class="builder-step ${status}" onclick="selectBuilderStep(${i})">
+                <strong>${s.label}</strong>
+                <code>${rule ? escapeHtml(rule.selector || '(card)') : (i < builder.step ? 'skipped' : '—')}</code>
+            </li>
+        `;
+    }).join('');
+
+    document.getElementById('builder-widen').disabled = builder.cardIndex >= builder.cardCandidates.length - 1;
+    document.getElementById('builder-narrow').disabled = builder.cardIndex <= 0;
+    document.getElementById('builder-skip').disabled = !step || step.key === 'card';
+
+    const config = buildBuilderConfig();
+    const yachts = runBuilderConfig(config);
+    const results = document.getElementById('builder-results');
+
+    if (!yachts) {
+        results.innerHTML = '<p class="form-hint">Pick a card and a title to preview the extracted listings.</p>';
+    } else {
+        results.innerHTML = `
+            <p><strong>${yachts.length}</strong> listing${yachts.length !== 1 ? 's' : ''} extracted</p>
+            <table class="builder-table">
+                <tr><th>Title</th><th>Price</th><th>Location</th><th>Img</th></tr>
+                ${yachts.slice(0, 5).map(y => `
+                    <tr>
+                        <td>${escapeHtml(y.title)}</td>
+                        <td>${escapeHtml(y.price)}</td>
+                        <td>${escapeHtml(y.location)}</td>
+                        <td>${y.images.length ? '✓' : ''}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    const ready = !!yachts && yachts.length > 0;
+    document.getElementById('builder-apply').disabled = !ready;
+    document.getElementById('builder-export').disabled = !ready;
+    document.getElementById('builder-copy').disabled = !ready;
+
+    highlightBuilderSelection();
+}
+
+function selectBuilderStep(index) {
+    if (!builder || (index > 0 && !currentCardSelector())) return;
+    builder.step = index;
+    builder.message = null;
+    refreshBuilder();
+}
+
+// Register the config and re-run the full pipeline over every fetched page
+function applyBuilderConfig() {
+    const config = buildBuilderConfig();
+    registerAdapterConfig(config);
+
+    const pages = Array.from(fetchedPages.entries());
+    const yachts = deduplicateYachts(pages.flatMap(([url, html]) => parseYachtListings(html, url).yachts));
+
+    closeAdapterBuilder();
+    showResults(yachts, pages.map(([url]) => url));
+}
+
+function exportBuilderConfig() {
+    const config = buildBuilderConfig();
+    const blob = new Blob([JSON.stringify(config, null, 4) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${config.name}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+
+    builder.message = null;
+    document.getElementById('builder-hint').textContent =
+        `Saved ${config.name}.json - add it to docs/adapters/ and list it in manifest.json.`;
+}
+
+async function copyBuilderConfig() {
+    const json = JSON.stringify(buildBuilderConfig(), null, 4);
+    try {
+        await navigator.clipboard.writeText(json);
+        document.getElementById('builder-hint').textContent = 'Adapter JSON copied to clipboard.';
+    } catch (e) {
+        console.log('[YachtParser] Adapter config:', json);
+        document.getElementById('builder-hint').textContent = 'Clipboard unavailable - the JSON was logged to the console.';
+    }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('builder-close').addEventListener('click', closeAdapterBuilder);
+    document.getElementById('builder-page').addEventListener('change', e => loadBuilderPage(e.target.value));
+    document.getElementById('builder-skip').addEventListener('click', () => {
+        advanceBuilderStep();
+        refreshBuilder();
+    });
+    document.getElementById('builder-widen').addEventListener('click', () => changeCardLevel(1));
+    document.getElementById('builder-narrow').addEventListener('click', () => changeCardLevel(-1));
+    document.getElementById('builder-reset').addEventListener('click', () => loadBuilderPage(builder.url));
+    document.getElementById('builder-apply').addEventListener('click', applyBuilderConfig);
+    document.getElementById('builder-export').addEventListener('click', exportBuilderConfig);
+    document.getElementById('builder-copy').addEventListener('click', copyBuilderConfig);
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && builder) closeAdapterBuilder();
+    });
+});
+
+// Global functions for onclick handlers
+window.openAdapterBuilder = openAdapterBuilder;
+window.selectBuilderStep = selectBuilderStep;
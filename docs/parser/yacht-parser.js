@@ -0,0 +1,5290 @@
+/**
+ * Yacht Parser Core
+ * DOM-agnostic parsing pipeline shared by list-yacht.html and Node tooling.
+ *
+ * Takes an HTML string + URL and returns yachts plus a debug report. Nothing
+ * in here touches `document`, `window` or UI state, so it runs unchanged in
+ * the browser (as window.YachtParser) and in Node (via require) as long as a
+ * DOMParser implementation is available - see setDomParser().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.YachtParser = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+    // Minimum confidence to include a listing (0-100): its field
+    // confidences averaged by CONFIDENCE_WEIGHTS
+    MIN_LISTING_CONFIDENCE: 40,
+
+    // Field confidence below which the edit modal highlights a value
+    LOW_FIELD_CONFIDENCE: 60,
+
+    // Minimum validation score for a page to count as a yacht listings
+    // page (see SITE_SIGNALS)
+    MIN_SITE_SCORE: 12,
+
+    // Price range for yacht detection, in BASE_CURRENCY
+    MIN_YACHT_PRICE: 5000,
+    MAX_YACHT_PRICE: 100000000,
+
+    // Length range for an unlabelled "45 ft" / "13.7 m" to count as LOA
+    MIN_YACHT_LENGTH_FT: 15,
+    MAX_YACHT_LENGTH_FT: 500,
+
+    // Length from which a yacht is typed as a superyacht (24 m)
+    SUPERYACHT_MIN_LENGTH_FT: 79,
+
+    // Sold listings: 'flag' keeps them with a warning (the import asks before
+    // including them), 'exclude' drops them while parsing
+    SOLD_LISTINGS: 'flag',
+
+    // Currency prices are normalized to for thresholds and sorting, and the
+    // locale prices are displayed in
+    BASE_CURRENCY: 'USD',
+    PRICE_LOCALE: 'en-US',
+
+    // Image size requirements
+    MIN_IMAGE_WIDTH: 200,
+    MIN_IMAGE_HEIGHT: 150,
+
+    // Maximum listings to display (for testing)
+    MAX_LISTINGS_DISPLAY: 10,
+
+    // Page budget when the user asks to scan every page of a listing
+    SCAN_ALL_MAX_PAGES: 200,
+
+    // Maximum detail pages fetched per scan when enriching listings
+    MAX_DETAIL_PAGES: 10,
+
+    // Crawl limits: total pages fetched per scan, link hops from the start
+    // page (pagination does not add a hop), parallel fetches per host and
+    // the minimum gap between two requests to the same host
+    CRAWL_MAX_PAGES: 30,
+    CRAWL_MAX_DEPTH: 2,
+    CRAWL_HOST_CONCURRENCY: 2,
+    CRAWL_DELAY_MS: 500,
+
+    // Fetch backends tried in order: 'local' (node tools/proxy-server.js),
+    // 'public' (shared CORS proxies, fallback only) or 'direct' (sites that
+    // send CORS headers themselves)
+    FETCH_PROVIDERS: ['local', 'public'],
+    LOCAL_PROXY_URL: 'http://localhost:8787',
+
+    // Cached pages are reused for this long, then revalidated (ETag /
+    // Last-Modified) before being fetched again
+    PAGE_CACHE_TTL_MINUTES: 60,
+
+    // Enable debug logging
+    DEBUG: true
+};
+
+// Per-language vocabulary, by ISO 639-1 code. English applies on every
+// page (brokers mix it in); the detected language's terms are added to it.
+//   common     frequent words that identify the language of a page
+//   keywords   yacht vocabulary, a weak validation signal
+//   specs      spec labels (LOA, beam, draft, hull), a strong signal
+//   results    nouns of a result count ("145 boats", "32 annonces")
+//   marina, charter, shop   wording of non-broker sites
+//   forSale    "for sale" wording, also ending a model name in titles
+//   markers    other wording only an inventory page carries
+//   paths      URL path segments of inventory pages
+//   links      link text pointing at an inventory page
+//   price      labels in front of an unmarked amount
+//   page, of, next   pagination wording ("page 1 of 14", "next")
+// Spec-table labels are kept per field in SPEC_LABELS.
+const LANGUAGES = {
+    en: {
+        common: ['the', 'and', 'with', 'for', 'this', 'from', 'our', 'you', 'are', 'your'],
+        keywords: [
+            'yacht', 'yachts', 'boat', 'boats', 'vessel', 'vessels', 'marine',
+            'sailing', 'sailboat', 'motor yacht', 'catamaran', 'trimaran',
+            'brokerage', 'broker', 'for sale', 'buy', 'sell',
+            'length overall', 'loa', 'beam', 'draft', 'hull',
+            'engine', 'knots', 'nautical', 'marina', 'cruiser',
+            'sportfish', 'trawler', 'express', 'flybridge', 'cockpit',
+            'galley', 'cabin', 'berth', 'stateroom', 'helm'
+        ],
+        specs: ['length overall', 'loa', 'lwl', 'beam', 'draft', 'draught', 'hull', 'displacement', 'engine hours'],
+        results: ['boats', 'yachts', 'vessels', 'listings', 'results', 'matches'],
+        marina: ['visitor berths', 'berth holders', 'berth rental', 'annual berthing', 'moorings', 'haul out', 'lift out', 'fuel dock', 'fuel berth', 'boatyard', 'winter storage', 'hardstanding', 'slipway', 'harbour master', 'pump out'],
+        charter: ['charter', 'bareboat', 'crewed charter', 'skippered', 'per week', 'per day', 'per night', 'book now', 'charter fleet', 'itinerary'],
+        shop: ['add to cart', 'add to basket', 'shopping cart', 'checkout', 'free shipping', 'in stock', 'out of stock', 'chandlery', 'spare parts', 'boat parts', 'accessories', 'sku'],
+        forSale: ['for sale'],
+        markers: ['brokerage'],
+        paths: ['boats', 'yachts', 'inventory', 'listings'],
+        links: [
+            'boats for sale', 'yachts for sale', 'inventory', 'our boats',
+            'our yachts', 'browse', 'search boats', 'search yachts',
+            'view all', 'see all', 'all boats', 'all yachts', 'fleet',
+            'brokerage', 'for sale', 'listings', 'motor yachts', 'sailing yachts',
+            'search', 'find a boat', 'find a yacht', 'results'
+        ],
+        price: ['price', 'asking'],
+        page: ['page'], of: ['of'], next: ['next', 'last']
+    },
+    fr: {
+        common: ['le', 'la', 'les', 'et', 'des', 'pour', 'avec', 'une', 'est', 'du', 'sur', 'vous', 'nos'],
+        keywords: [
+            'bateau', 'bateaux', 'voilier', 'voiliers', 'vedette', 'yacht', 'catamaran', 'multicoque',
+            'moteur', 'longueur', 'largeur', "tirant d'eau", 'coque', 'cabine', 'couchettes',
+            'carène', 'occasion', 'courtier', 'courtage', 'à vendre', 'nautique', 'port', 'ponton'
+        ],
+        specs: ['longueur hors tout', 'largeur', "tirant d'eau", 'coque', 'déplacement', 'heures moteur'],
+        results: ['bateaux', 'annonces', 'résultats'],
+        marina: ['places de port', 'anneaux', 'mouillages', 'manutention', 'hivernage', 'capitainerie', 'aire de carénage', 'grutage', 'station carburant'],
+        charter: ['location de bateaux', 'location de voiliers', 'par semaine', 'par jour', 'réserver', 'avec skipper'],
+        shop: ['ajouter au panier', 'panier', 'livraison', 'en stock', 'accastillage', 'pièces détachées', 'accessoires'],
+        forSale: ['à vendre'],
+        markers: ['bateaux d\'occasion', 'courtage', 'annonces'],
+        paths: ['bateaux', 'bateaux-occasion', 'occasion', 'a-vendre', 'annonces', 'courtage'],
+        links: ['bateaux à vendre', 'à vendre', 'nos bateaux', 'occasion', 'annonces', 'courtage', 'voir tout', 'rechercher', 'catalogue'],
+        price: ['prix', 'prix de vente'],
+        page: ['page'], of: ['sur'], next: ['suivant', 'suivante', 'dernière']
+    },
+    de: {
+        common: ['der', 'die', 'das', 'und', 'mit', 'für', 'ist', 'ein', 'eine', 'von', 'wir', 'sie', 'nicht'],
+        keywords: [
+            'boot', 'boote', 'yacht', 'yachten', 'segelyacht', 'motoryacht', 'katamaran', 'länge',
+            'breite', 'tiefgang', 'rumpf', 'kajüte', 'kabine', 'kojen', 'motor', 'gebraucht',
+            'gebrauchtboote', 'makler', 'zu verkaufen', 'verkauf', 'werft', 'liegeplatz'
+        ],
+        specs: ['länge über alles', 'breite', 'tiefgang', 'rumpf', 'verdrängung', 'motorstunden'],
+        results: ['boote', 'yachten', 'angebote', 'ergebnisse', 'treffer'],
+        marina: ['liegeplätze', 'gastliegeplätze', 'winterlager', 'kranen', 'bootstankstelle', 'hafenmeister', 'slipanlage', 'bootslager'],
+        charter: ['yachtcharter', 'charter', 'pro woche', 'pro tag', 'jetzt buchen', 'mit skipper', 'törn'],
+        shop: ['in den warenkorb', 'warenkorb', 'kasse', 'versand', 'auf lager', 'bootszubehör', 'ersatzteile', 'zubehör'],
+        forSale: ['zu verkaufen'],
+        markers: ['gebrauchtboote', 'gebrauchte boote', 'bootsangebote', 'yachtmakler'],
+        paths: ['boote', 'gebrauchtboote', 'angebote', 'yachten', 'verkauf', 'bestand'],
+        links: ['zu verkaufen', 'gebrauchtboote', 'gebrauchte boote', 'unsere boote', 'angebote', 'bestand', 'alle boote', 'suche'],
+        price: ['preis', 'verkaufspreis'],
+        page: ['seite'], of: ['von'], next: ['weiter', 'nächste', 'letzte']
+    },
+    es: {
+        common: ['el', 'los', 'las', 'y', 'con', 'para', 'una', 'del', 'por', 'es', 'su', 'nuestros'],
+        keywords: [
+            'barco', 'barcos', 'embarcación', 'embarcaciones', 'velero', 'veleros', 'yate', 'yates',
+            'catamarán', 'eslora', 'manga', 'calado', 'casco', 'camarotes', 'motor', 'ocasión',
+            'segunda mano', 'broker', 'en venta', 'náutica', 'amarre'
+        ],
+        specs: ['eslora', 'manga', 'calado', 'casco', 'desplazamiento', 'horas de motor'],
+        results: ['barcos', 'yates', 'embarcaciones', 'anuncios', 'resultados'],
+        marina: ['amarres', 'puerto deportivo', 'varadero', 'invernaje', 'capitanía', 'travelift', 'gasolinera'],
+        charter: ['alquiler', 'alquiler de barcos', 'chárter', 'por semana', 'por día', 'reservar', 'con patrón'],
+        shop: ['añadir al carrito', 'carrito', 'envío', 'en stock', 'accesorios', 'recambios', 'repuestos'],
+        forSale: ['en venta', 'se vende'],
+        markers: ['barcos de ocasión', 'segunda mano'],
+        paths: ['barcos', 'yates', 'venta', 'ocasion', 'segunda-mano', 'embarcaciones'],
+        links: ['barcos en venta', 'en venta', 'barcos de ocasión', 'segunda mano', 'nuestros barcos', 'ver todos', 'buscar'],
+        price: ['precio'],
+        page: ['página', 'pagina'], of: ['de'], next: ['siguiente', 'última']
+    },
+    it: {
+        common: ['il', 'gli', 'le', 'e', 'con', 'per', 'una', 'della', 'del', 'di', 'che', 'sono', 'nostri'],
+        keywords: [
+            'barca', 'barche', 'imbarcazione', 'imbarcazioni', 'yacht', 'veliero', 'barca a vela',
+            'motoscafo', 'catamarano', 'lunghezza', 'larghezza', 'baglio', 'pescaggio', 'scafo',
+            'cabine', 'motore', 'usato', 'in vendita', 'nautica', 'cantiere', 'ormeggio'
+        ],
+        specs: ['lunghezza fuori tutto', 'larghezza', 'baglio', 'pescaggio', 'scafo', 'dislocamento', 'ore motore'],
+        results: ['barche', 'imbarcazioni', 'annunci', 'risultati'],
+        marina: ['posti barca', 'ormeggi', 'rimessaggio', 'alaggio', 'capitaneria', 'travelift', 'distributore carburante'],
+        charter: ['noleggio', 'noleggio barche', 'a settimana', 'al giorno', 'prenota', 'con skipper'],
+        shop: ['aggiungi al carrello', 'carrello', 'spedizione', 'disponibile in magazzino', 'accessori', 'ricambi'],
+        forSale: ['in vendita', 'vendesi'],
+        markers: ['barche usate', 'imbarcazioni usate'],
+        paths: ['barche', 'usato', 'vendita', 'imbarcazioni', 'barche-usate'],
+        links: ['barche in vendita', 'in vendita', 'barche usate', 'usato', 'le nostre barche', 'vedi tutti', 'cerca'],
+        price: ['prezzo'],
+        page: ['pagina'], of: ['di'], next: ['successivo', 'successiva', 'ultima']
+    },
+    nl: {
+        common: ['de', 'het', 'een', 'en', 'met', 'voor', 'van', 'zijn', 'onze', 'wij', 'niet', 'bij'],
+        keywords: [
+            'boot', 'boten', 'jacht', 'jachten', 'zeiljacht', 'motorjacht', 'motorboot', 'catamaran',
+            'lengte', 'breedte', 'diepgang', 'romp', 'kajuit', 'hutten', 'motor', 'occasion',
+            'makelaar', 'jachtmakelaar', 'te koop', 'ligplaats', 'werf'
+        ],
+        specs: ['lengte over alles', 'breedte', 'diepgang', 'romp', 'waterverplaatsing', 'draaiuren'],
+        results: ['boten', 'jachten', 'resultaten'],
+        marina: ['ligplaatsen', 'passantenhaven', 'winterstalling', 'kraanfaciliteiten', 'havenmeester', 'helling', 'bunkerstation'],
+        charter: ['verhuur', 'bootverhuur', 'per week', 'per dag', 'boek nu', 'met schipper'],
+        shop: ['in winkelwagen', 'winkelwagen', 'afrekenen', 'verzending', 'op voorraad', 'onderdelen', 'accessoires'],
+        forSale: ['te koop'],
+        markers: ['jachtmakelaar', 'occasions', 'ons aanbod'],
+        paths: ['boten', 'jachten', 'te-koop', 'aanbod', 'occasions'],
+        links: ['te koop', 'boten te koop', 'jachten te koop', 'aanbod', 'ons aanbod', 'occasions', 'alle boten', 'zoeken'],
+        price: ['prijs', 'vraagprijs'],
+        page: ['pagina'], of: ['van'], next: ['volgende', 'laatste']
+    },
+    hr: {
+        common: ['je', 'i', 'za', 'na', 'od', 'su', 'se', 'u', 'sa', 'ili', 'nije', 'naši', 'koji'],
+        keywords: [
+            'brod', 'brodovi', 'brodova', 'plovilo', 'plovila', 'jahta', 'jahte', 'jedrilica',
+            'jedrilice', 'motorni brod', 'katamaran', 'duljina', 'širina', 'gaz', 'trup', 'kabina',
+            'kabine', 'motor', 'rabljeni', 'prodaja', 'na prodaju', 'broker', 'marina', 'vez'
+        ],
+        specs: ['duljina preko svega', 'širina', 'gaz', 'trup', 'istisnina', 'radni sati'],
+        results: ['brodova', 'plovila', 'rezultata', 'oglasa'],
+        marina: ['vezovi', 'godišnji vez', 'dizalica', 'zimovanje', 'lučka kapetanija', 'travelift', 'benzinska postaja'],
+        charter: ['najam', 'najam brodova', 'čarter', 'po tjednu', 'po danu', 'rezerviraj', 'sa skiperom'],
+        shop: ['dodaj u košaricu', 'košarica', 'dostava', 'na zalihi', 'rezervni dijelovi', 'nautička oprema'],
+        forSale: ['na prodaju', 'prodaje se'],
+        markers: ['rabljeni brodovi', 'rabljena plovila', 'ponuda plovila'],
+        paths: ['brodovi', 'plovila', 'prodaja', 'ponuda', 'jahte', 'rabljeni-brodovi'],
+        links: ['na prodaju', 'prodaja', 'rabljeni brodovi', 'ponuda', 'naša ponuda', 'plovila', 'svi brodovi', 'pretraga'],
+        price: ['cijena'],
+        page: ['stranica'], of: ['od'], next: ['sljedeća', 'dalje', 'zadnja']
+    }
+};
+
+// Yacht-related keywords for site validation (English; see LANGUAGES)
+const YACHT_KEYWORDS = LANGUAGES.en.keywords;
+
+// One vocabulary list for a page: English plus the page language's terms
+function languageTerms(language, field) {
+    const terms = [...LANGUAGES.en[field], ...((LANGUAGES[language] || {})[field] || [])];
+    return terms.filter((term, i) => terms.indexOf(term) === i);
+}
+
+// Every language's terms for a field, for patterns that need no detection
+function allLanguageTerms(field) {
+    const terms = Object.values(LANGUAGES).flatMap(vocabulary => vocabulary[field]);
+    return terms.filter((term, i) => terms.indexOf(term) === i);
+}
+
+// Regex alternation of terms, longest first so "prix de vente" beats "prix"
+function termsSource(terms) {
+    return [...terms].sort((a, b) => b.length - a.length)
+        .map(term => escapeRegex(term).replace(/\s+/g, '\\s+'))
+        .join('|');
+}
+
+// Currency markers recognised next to an amount, as [regex source, ISO code,
+// ambiguous]. Prefixed markers come first so "A$" and "US$" win over a bare
+// "$". A null code means the marker is the ISO code itself.
+const CURRENCY_MARKERS = [
+    ['\\bUS\\$', 'USD'], ['\\bAU?\\$', 'AUD'], ['\\bCA?\\$', 'CAD'], ['\\bNZ\\$', 'NZD'],
+    ['\\bHK\\$', 'HKD'], ['\\bS\\$', 'SGD'], ['\\bR\\$', 'BRL'],
+    ['\\$', 'USD', true], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₺', 'TRY'], ['฿', 'THB'],
+    ['\\bSFr\\.?', 'CHF'], ['\\bzł', 'PLN'], ['\\bkn\\b', 'HRK'], ['\\bkr\\.?(?![a-z])', 'SEK', true],
+    ['\\b(?:USD|EUR|GBP|AUD|CAD|NZD|CHF|SEK|NOK|DKK|HRK|PLN|TRY|AED|SGD|HKD|JPY|ZAR|THB|MXN|BRL)\\b', null],
+    ['\\b(?:US )?dollars?\\b', 'USD'], ['\\beuros?\\b', 'EUR'], ['\\bpounds?(?: sterling)?\\b', 'GBP'],
+    ['\\bswiss francs?\\b', 'CHF'], ['\\bkuna\\b', 'HRK']
+];
+
+// Bare "$" and "kr" are shared by several currencies; a known listing
+// currency from the same family wins over the default code above
+const AMBIGUOUS_CURRENCIES = {
+    USD: ['USD', 'AUD', 'CAD', 'NZD', 'HKD', 'SGD', 'MXN'],
+    SEK: ['SEK', 'NOK', 'DKK']
+};
+
+// An amount: digits with optional thousands groups and decimals
+const PRICE_AMOUNT = "(?<![\\d.,])(?:\\d{1,3}(?:[,.\\s'’ʼ\\u00a0\\u2009\\u202f]\\d{3}(?!\\d))+(?:[.,]\\d{1,2}(?!\\d))?|\\d+(?:[.,]\\d{1,2}(?!\\d))?)";
+
+const CURRENCY_MARKER_SOURCE = CURRENCY_MARKERS.map(([source]) => source).join('|');
+
+// Price pattern definitions, tried in order; the first plausible match wins
+const PRICE_PATTERNS = [
+    // Marker before the amount: "$1,250,000", "EUR € 450.000", "AU$ 1,200,000"
+    { regex: new RegExp(`(${CURRENCY_MARKER_SOURCE})\\s*(?:[$€£]\\s*)?(${PRICE_AMOUNT})`, 'gi'), marker: 1, amount: 2 },
+    // Marker after the amount: "450.000 €", "1 200 000 SEK", "95,000 euros"
+    { regex: new RegExp(`(${PRICE_AMOUNT})\\s*(${CURRENCY_MARKER_SOURCE})`, 'gi'), marker: 2, amount: 1 },
+    // No currency marker, only a price label: the currency is assumed
+    { regex: new RegExp(`(?:${termsSource(allLanguageTerms('price'))})[:\\s]*(${PRICE_AMOUNT})`, 'gi'), marker: null, amount: 1 },
+    // A price field holding nothing but the amount
+    { regex: new RegExp(`^\\s*(${PRICE_AMOUNT})\\s*$`, 'g'), marker: null, amount: 1 }
+];
+
+// VAT status and tax-inclusive wording (EN, DE, FR, IT, ES, NL)
+const VAT_NOT_PAID_REGEX = /\b(?:vat|tax|mwst|tva|iva|btw)[\s.-]*(?:not[\s-]*paid|unpaid|nicht[\s-]*bezahlt|non[\s-]*pay[ée]e?|non[\s-]*pagat[ao]|no[\s-]*pagad[ao]|niet[\s-]*betaald)|\bnot[\s-]*(?:vat|tax)[\s-]*paid\b/i;
+const VAT_PAID_REGEX = /\b(?:vat|tax|mwst|tva|iva|btw)[\s.-]*(?:paid|bezahlt|pay[ée]e?|pagat[ao]|pagad[ao]|betaald)\b/i;
+const TAX_EXCLUDED_REGEX = /(?:\b(?:ex|excl?|excluding|plus|zzgl|hors)\.?|\+)\s*(?:vat|gst|tax(?:es)?|mwst|tva|iva|btw)\b/i;
+const TAX_INCLUDED_REGEX = /\b(?:(?:inc|incl|including|inkl)\.?\s*(?:vat|gst|tax|mwst|tva|iva|btw)|iva incluid[oa]|ttc)\b/i;
+
+// Sale statuses a price can carry, with their display labels
+const PRICE_STATUS_LABELS = {
+    'for-sale': 'For Sale',
+    reduced: 'Reduced',
+    'under-offer': 'Under Offer',
+    'sale-pending': 'Sale Pending',
+    sold: 'Sold',
+    poa: 'POA',
+    charter: 'Charter'
+};
+
+// Status wording (EN, DE, FR, IT, ES, NL, HR, Nordic), checked in order: a
+// sold listing stays sold even if its card still says "price reduced"
+const PRICE_STATUS_PATTERNS = [
+    ['sold', /\b(?:sold|verkauft|vendu|venduto|vendido|verkocht|prodan[oa]?|s[åa]ld|solgt)\b/i],
+    ['sale-pending', /\b(?:sale pending|pending sale|contract pending|under contract|sale agreed|deposit (?:taken|received)|reserved|reserviert|r[ée]serv[ée]|riservato|reservado|rezervirano)\b/i],
+    ['under-offer', /\b(?:under offer|offer accepted|sous offre|unter angebot|in trattativa)\b/i],
+    ['poa', /\b(?:poa|p\.o\.a|price on (?:application|request)|on application|(?:contact|call|ask)(?: us| broker)? for (?:a )?price|prix sur demande|preis auf anfrage|prezzo su richiesta|precio a consultar|cijena na upit)\b/i],
+    ['charter', /(?:\bper|\bp\/|\/)\s*(?:week|wk|day|night|month)\b|\b(?:weekly|daily|nightly)\b|\bcharter (?:rate|price|fee)/i]
+];
+
+// Reductions: explicit wording, or was/now wording around two amounts
+const REDUCED_REGEX = /\b(?:reduced|price drop|price cut|reduziert|prix baiss[ée]|ribassato|rebajado)\b/i;
+const PREVIOUS_PRICE_REGEX = /\b(?:was|previously|formerly|now|vorher|avant|prima|antes)\b/i;
+
+// Offline exchange rates: units of each currency per one unit of `base`.
+// Approximate mid-market figures used for thresholds and sorting only;
+// swap in fresher rates with setExchangeRates(). HRK is pegged to EUR.
+const DEFAULT_EXCHANGE_RATES = {
+    base: 'USD',
+    asOf: '2025-06-01',
+    rates: {
+        USD: 1, EUR: 0.88, GBP: 0.74, AUD: 1.54, CAD: 1.37, NZD: 1.66, CHF: 0.82,
+        SEK: 9.6, NOK: 10.1, DKK: 6.56, HRK: 6.63, PLN: 3.76, TRY: 39.2, AED: 3.67,
+        SGD: 1.29, HKD: 7.85, JPY: 144, ZAR: 17.9, THB: 32.6, MXN: 19.2, BRL: 5.6
+    }
+};
+
+// ============================================================================
+// DOM ACCESS
+// ============================================================================
+
+// DOMParser used to turn HTML strings into documents. Browsers provide one
+// globally; Node callers pass one in from a DOM shim such as jsdom.
+let DomParserImpl = typeof DOMParser !== 'undefined' ? DOMParser : null;
+
+function setDomParser(impl) {
+    DomParserImpl = impl;
+}
+
+/**
+ * Parse an HTML string into a document. When baseUrl is given, a <base> is
+ * injected so element.href/src resolve against the scraped site instead of
+ * the page hosting the parser.
+ */
+function parseHtml(html, baseUrl) {
+    if (!DomParserImpl) {
+        throw new Error('No DOMParser available. Call YachtParser.setDomParser() with a DOM shim (e.g. jsdom) first.');
+    }
+
+    const doc = new DomParserImpl().parseFromString(html, 'text/html');
+    if (baseUrl && doc.head && !doc.querySelector('base[href]')) {
+        const base = doc.createElement('base');
+        base.setAttribute('href', baseUrl);
+        doc.head.prepend(base);
+    }
+    return doc;
+}
+// ============================================================================
+// LOGGING & DEBUG
+// ============================================================================
+
+function log(...args) {
+    if (CONFIG.DEBUG) {
+        console.log('[YachtParser]', ...args);
+    }
+}
+
+// ============================================================================
+// SITE VALIDATION
+// ============================================================================
+
+// Language declared by <html lang> or a Content-Language meta, e.g. "fr-FR"
+function declaredLanguage(doc) {
+    const lang = doc?.documentElement?.getAttribute('lang') ||
+        doc?.querySelector('meta[http-equiv="content-language" i]')?.getAttribute('content') || '';
+    return lang.trim().split(/[\s,;]/)[0];
+}
+
+// Word counts can only outvote a declared language by this margin; many
+// themes ship lang="en-US" whatever language the listings are in
+const LANGUAGE_OVERRIDE_MIN_WORDS = 20;
+
+/**
+ * Language of a page, as a LANGUAGES code: <html lang> unless the visible
+ * text is clearly in another language, else the language whose common
+ * words the text uses most. Defaults to 'en'.
+ */
+function detectLanguage(doc) {
+    const declared = declaredLanguage(doc).toLowerCase().split(/[-_]/)[0];
+    const words = visibleText(doc).slice(0, 20000).toLowerCase().match(/\p{L}+/gu) || [];
+
+    const scores = {};
+    Object.entries(LANGUAGES).forEach(([code, vocabulary]) => {
+        const common = new Set(vocabulary.common);
+        scores[code] = words.filter(word => common.has(word)).length;
+    });
+    const best = Object.keys(scores).reduce((a, b) => scores[b] > scores[a] ? b : a);
+
+    if (LANGUAGES[declared]) {
+        const outvoted = best !== declared && scores[best] >= LANGUAGE_OVERRIDE_MIN_WORDS &&
+            scores[best] > 2 * scores[declared];
+        return outvoted ? best : declared;
+    }
+    return scores[best] > 0 ? best : 'en';
+}
+
+// Whole-word (or plural) occurrence of a term in lowercased text
+function containsTerm(lowerText, term) {
+    return new RegExp(`(?<!\\p{L})${escapeRegex(term)}s?(?!\\p{L})`, 'u').test(lowerText);
+}
+
+// Elements whose text a visitor never sees
+const HIDDEN_TEXT_SELECTOR = 'script, style, noscript, template, svg, [hidden], [aria-hidden="true"]';
+
+/**
+ * The text a visitor reads: the title and the body's text nodes outside
+ * scripts, styles and hidden elements, joined with spaces so table cells
+ * and list items stay separate words.
+ */
+function visibleText(doc) {
+    if (!doc?.body) return '';
+    const parts = [doc.title || ''];
+    const walker = doc.createTreeWalker(doc.body, 4 /* NodeFilter.SHOW_TEXT */);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!node.parentElement?.closest(HIDDEN_TEXT_SELECTOR)) parts.push(node.nodeValue);
+    }
+    return cleanText(parts.join(' '));
+}
+
+// Site validation signals. Each scores `points` per piece of evidence up
+// to `max`; strong signals are ones only a listings page carries, weak
+// ones any boating site has, penalties the wording of non-broker sites.
+// Weak signals alone stay below CONFIG.MIN_SITE_SCORE.
+const SITE_SIGNALS = {
+    structuredData: { label: 'structured listing data', strength: 'strong', points: 10, max: 10 },
+    resultCount: { label: 'result count', strength: 'strong', points: 6, max: 6 },
+    listings: { label: 'listing prices or lengths', strength: 'strong', points: 2, max: 10 },
+    specs: { label: 'spec labels', strength: 'strong', points: 3, max: 12 },
+    forSale: { label: 'for-sale wording', strength: 'strong', points: 4, max: 8 },
+    keywords: { label: 'yacht terms', strength: 'weak', points: 1, max: 8 },
+    marina: { label: 'marina services', strength: 'penalty', points: -2, max: -8 },
+    charter: { label: 'charter wording', strength: 'penalty', points: -2, max: -8 },
+    shop: { label: 'shop wording', strength: 'penalty', points: -2, max: -8 }
+};
+
+// Signals that show the page lists boats for sale
+const INVENTORY_SIGNALS = ['structuredData', 'resultCount', 'listings', 'forSale'];
+
+// Non-broker kinds: a page with this many of one kind's terms and no
+// for-sale wording is rejected as that kind of site
+const NON_BROKER_SITES = { marina: 'a marina', charter: 'a charter company', shop: 'a parts or chandlery store' };
+const NON_BROKER_MIN_TERMS = 3;
+
+const STRUCTURED_LISTING_TYPES = /"@type"\s*:\s*\[?\s*"(?:Product|IndividualProduct|Vehicle|Car|Offer|ItemList)"/;
+
+// Evidence for each signal, as lists of the terms or values found
+function collectSiteEvidence(doc, text, language) {
+    const lowerText = text.toLowerCase();
+    const found = field => languageTerms(language, field).filter(term => containsTerm(lowerText, term));
+    const specs = found('specs');
+
+    const structured = [...doc.querySelectorAll('script[type="application/ld+json"]')]
+        .map(script => (script.textContent.match(STRUCTURED_LISTING_TYPES) || [])[0])
+        .filter(Boolean)
+        .map(match => `JSON-LD ${match.match(/"(\w+)"$/)[1]}`);
+    doc.querySelectorAll('[itemtype*="schema.org/Product"], [itemtype*="schema.org/Vehicle"], [itemtype*="schema.org/Car"]').forEach(item => {
+        structured.push(`microdata ${item.getAttribute('itemtype').split('/').pop()}`);
+    });
+
+    const resultCount = [];
+    const range = text.match(RESULT_RANGE_REGEX) || text.match(PAGE_OF_REGEX);
+    if (range) resultCount.push(range[0]);
+    const total = text.match(new RegExp(`(?<![\\d.,])\\d[\\d,.]{0,6}\\s+(?:\\p{L}+\\s+)?(?:${termsSource(languageTerms(language, 'results'))})(?!\\p{L})`, 'iu'));
+    if (total) resultCount.push(total[0]);
+
+    // Asking prices and LOAs in yacht range; the longer list is the count
+    const prices = extractPrices(text)
+        .filter(price => isPlausiblePrice(price.raw, price.currency))
+        .map(price => price.info.original);
+    const lengths = [...text.matchAll(new RegExp(LENGTH_SOURCE, 'gi'))]
+        .filter(match => {
+            const length = parseLength(match[0]);
+            return length && length.ft >= CONFIG.MIN_YACHT_LENGTH_FT && length.ft <= CONFIG.MAX_YACHT_LENGTH_FT;
+        })
+        .map(match => cleanText(match[0]));
+
+    const hrefs = [...doc.querySelectorAll('a[href]')].map(link => link.getAttribute('href').toLowerCase());
+    const paths = languageTerms(language, 'paths')
+        .filter(path => hrefs.some(href => href.includes(`/${path}/`)))
+        .map(path => `/${path}/`);
+
+    return {
+        structuredData: structured,
+        resultCount,
+        listings: prices.length >= lengths.length ? prices : lengths,
+        specs,
+        forSale: [...found('forSale'), ...found('markers'), ...paths],
+        keywords: found('keywords').filter(term => !specs.includes(term)),
+        marina: found('marina'),
+        charter: found('charter'),
+        shop: found('shop')
+    };
+}
+
+// "spec labels +9, marina services -4"
+function describeSignals(signals) {
+    return signals.filter(signal => signal.score !== 0)
+        .map(signal => `${signal.label} ${signal.score > 0 ? '+' : ''}${signal.score}`)
+        .join(', ') || 'no yacht-related content';
+}
+
+/**
+ * Check html is a yacht listings page by scoring the SITE_SIGNALS found in
+ * its visible text, links and structured data. language defaults to the
+ * detected language of the page; pass doc when it is already parsed.
+ * Returns { valid, reason, score, threshold, summary, signals, nonBroker,
+ * keywordsFound, language }: signals is the breakdown ({ id, label,
+ * strength, score, evidence } each), summary one line of it for the debug
+ * report and nonBroker the non-broker kind the page was taken for, if any.
+ */
+function validateYachtSite(html, language, doc = parseHtml(html)) {
+    language = language || detectLanguage(doc);
+    const evidence = collectSiteEvidence(doc, visibleText(doc), language);
+
+    const signals = Object.entries(SITE_SIGNALS).map(([id, signal]) => {
+        const items = evidence[id];
+        const uncapped = items.length * signal.points;
+        const score = signal.points > 0 ? Math.min(uncapped, signal.max) : Math.max(uncapped, signal.max);
+        return { id, label: signal.label, strength: signal.strength, score, evidence: items.slice(0, 10) };
+    });
+    const score = signals.reduce((sum, signal) => sum + signal.score, 0);
+    const threshold = CONFIG.MIN_SITE_SCORE;
+
+    const nonBrokerId = evidence.forSale.length > 0 ? null : Object.keys(NON_BROKER_SITES)
+        .filter(id => evidence[id].length >= NON_BROKER_MIN_TERMS)
+        .sort((a, b) => evidence[b].length - evidence[a].length)[0];
+    const nonBroker = nonBrokerId ? { kind: nonBrokerId, terms: evidence[nonBrokerId] } : null;
+
+    const summary = `Score ${score} (minimum ${threshold}): ${describeSignals(signals)}`;
+    const result = { valid: false, score, threshold, summary, signals, nonBroker, keywordsFound: evidence.keywords, language };
+    log('Site validation:', summary);
+
+    if (nonBroker) {
+        result.reason = `This looks like ${NON_BROKER_SITES[nonBroker.kind]} website rather than a yacht broker (${nonBroker.terms.slice(0, 4).join(', ')}).`;
+    } else if (score < threshold) {
+        result.reason = `This doesn't appear to be a yacht or boat sales website. ${summary}.`;
+    } else if (!INVENTORY_SIGNALS.some(id => evidence[id].length > 0)) {
+        result.reason = 'This doesn\'t appear to be a yacht listings page. Please navigate to the inventory or boats for sale page.';
+    } else {
+        result.valid = true;
+    }
+    return result;
+}
+
+// ============================================================================
+// STRUCTURED DATA EXTRACTION (JSON-LD, Schema.org)
+// ============================================================================
+
+// Schema.org types read as listings. They are also found inside @graph,
+// ItemList elements, an Offer's itemOffered and a page's mainEntity.
+const SCHEMA_LISTING_TYPES = ['Product', 'IndividualProduct', 'ProductModel', 'Vehicle', 'Car', 'BoatTrip'];
+
+// Properties that hold further nodes to search for listings
+const SCHEMA_CONTAINER_KEYS = ['@graph', 'itemListElement', 'item', 'mainEntity', 'about'];
+
+// Field confidence by where the Schema.org values came from: JSON-LD, the
+// page's microdata, or OpenGraph / Twitter Card tags
+const STRUCTURED_CONFIDENCE = { 'json-ld': 90, microdata: 85, opengraph: 70 };
+
+// Offer.availability values (schema.org URLs or OpenGraph wording)
+const SCHEMA_AVAILABILITY = [
+    ['sold', /SoldOut|OutOfStock|Discontinued|\boos\b|out of stock/i],
+    ['sale-pending', /Reserved/i]
+];
+
+// UN/CEFACT unitCode values in QuantitativeValue and PropertyValue
+const SCHEMA_UNIT_CODES = {
+    MTR: 'm', FOT: 'ft', INH: 'in', KGM: 'kg', LBR: 'lb', TNE: 't',
+    KWT: 'kW', BHP: 'hp', HJ: 'hp', KNT: 'kn', HUR: 'hours',
+    DAY: 'day', WEE: 'week', MON: 'month'
+};
+
+// Year-bearing properties, most specific first
+const SCHEMA_YEAR_KEYS = ['vehicleModelDate', 'modelDate', 'productionDate', 'dateVehicleFirstRegistered', 'releaseDate'];
+
+/**
+ * Listings in the page's structured data: Schema.org listing nodes in
+ * JSON-LD and microdata, or the page's OpenGraph / Twitter Card tags when
+ * it has neither.
+ */
+function extractStructuredData(html, baseUrl) {
+    const results = [];
+    const doc = parseHtml(html, baseUrl);
+
+    // Extract JSON-LD
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            const data = JSON.parse(script.textContent);
+            const resolve = schemaResolver(data);
+            findSchemaListings(data, resolve).forEach(node => {
+                results.push(mapSchemaListing(node, baseUrl, 'json-ld', resolve));
+            });
+        } catch (e) {
+            log('JSON-LD parse error:', e);
+        }
+    });
+
+    // Extract Schema.org microdata; nested listing items belong to their parent
+    doc.querySelectorAll('[itemscope][itemtype]').forEach(element => {
+        if (!isSchemaListing(microdataTypes(element))) return;
+        for (let owner = element.parentElement?.closest('[itemscope]'); owner; owner = owner.parentElement?.closest('[itemscope]')) {
+            if (isSchemaListing(microdataTypes(owner))) return;
+        }
+        results.push(mapSchemaListing(microdataObject(element), baseUrl, 'microdata', value => value));
+    });
+
+    if (results.length === 0) {
+        const fromMeta = extractMetaListing(doc, baseUrl);
+        if (fromMeta) results.push(fromMeta);
+    }
+
+    log('Structured data found:', results.length, 'items');
+    return results;
+}
+
+// A node's @type as an array of bare type names
+function schemaTypes(node) {
+    return [].concat(node['@type'] || []).map(type => String(type).split(/[/#]/).pop());
+}
+
+const isSchemaListing = types => types.some(type => SCHEMA_LISTING_TYPES.includes(type));
+
+/**
+ * Resolver for one JSON-LD document: a bare { "@id": ... } reference
+ * becomes the node with that @id, anything else is returned as is.
+ */
+function schemaResolver(data) {
+    const ids = new Map();
+    const visit = (value, depth) => {
+        if (depth > 12 || !value || typeof value !== 'object') return;
+        if (Array.isArray(value)) {
+            value.forEach(item => visit(item, depth + 1));
+            return;
+        }
+        if (typeof value['@id'] === 'string' && Object.keys(value).length > 1) ids.set(value['@id'], value);
+        Object.values(value).forEach(item => visit(item, depth + 1));
+    };
+    visit(data, 0);
+
+    return value => (isPlainObject(value) && Object.keys(value).length === 1 && ids.get(value['@id'])) || value;
+}
+
+/**
+ * Listing nodes in a JSON-LD value, each once. An Offer wrapping its item
+ * (itemOffered) yields the item with the Offer as its offers.
+ */
+function findSchemaListings(data, resolve) {
+    const found = [];
+    const seen = new Set();
+
+    const visit = (value, depth) => {
+        value = resolve(value);
+        if (depth > 10 || !value || typeof value !== 'object' || seen.has(value)) return;
+        seen.add(value);
+        if (Array.isArray(value)) {
+            value.forEach(item => visit(item, depth + 1));
+            return;
+        }
+
+        const types = schemaTypes(value);
+        if (isSchemaListing(types)) {
+            found.push(value);
+            return;
+        }
+
+        const offered = resolve(value.itemOffered);
+        if (types.some(type => /Offer$/.test(type)) && isPlainObject(offered) && isSchemaListing(schemaTypes(offered))) {
+            if (!seen.has(offered)) found.push({ ...offered, offers: offered.offers || value });
+            seen.add(offered);
+            return;
+        }
+
+        SCHEMA_CONTAINER_KEYS.forEach(key => visit(value[key], depth + 1));
+    };
+
+    visit(data, 0);
+    return found;
+}
+
+// A QuantitativeValue or PropertyValue as text: "13.7 m", "435 hp"
+function schemaQuantityText(value) {
+    if (!isPlainObject(value)) return jsonText(value);
+    const amount = value.value !== undefined ? value.value : value.maxValue !== undefined ? value.maxValue : value.minValue;
+    if (amount === undefined || amount === null || isPlainObject(amount)) return jsonText(value);
+    const unit = value.unitText || SCHEMA_UNIT_CODES[value.unitCode] || '';
+    return cleanText(`${jsonText(amount)} ${unit}`);
+}
+
+// A Place, PostalAddress or BoatTerminal as location text
+function schemaPlaceText(place, resolve) {
+    place = resolve(place);
+    if (!isPlainObject(place)) return jsonText(place);
+    const address = resolve(place.address);
+    if (isPlainObject(address)) {
+        const parts = [address.addressLocality, address.addressRegion, address.addressCountry]
+            .map(part => jsonText(resolve(part)))
+            .filter(Boolean);
+        if (parts.length > 0) return parts.join(', ');
+    }
+    return jsonText(address) || jsonText(place.name);
+}
+
+// Image URLs from strings, ImageObjects or arrays of either
+function schemaImageUrls(value, resolve) {
+    value = resolve(value);
+    if (Array.isArray(value)) return value.flatMap(item => schemaImageUrls(item, resolve));
+    if (isPlainObject(value)) return [value.contentUrl || value.url || value.thumbnailUrl].filter(url => typeof url === 'string');
+    return typeof value === 'string' ? [value] : [];
+}
+
+/**
+ * Map one Schema.org node (a JSON-LD object, or microdata / meta tags read
+ * into the same shape) to a yacht. Reads name, description, url, image,
+ * brand / manufacturer, model, the Vehicle model date, category / bodyType,
+ * offers (Offer, AggregateOffer, priceSpecification, availability,
+ * availableAtOrFrom), vehicleEngine and additionalProperty specs. A
+ * BoatTrip's price is a charter rate and its departure terminal the
+ * location.
+ */
+function mapSchemaListing(node, baseUrl, source, resolve) {
+    const yacht = createEmptyYacht();
+    yacht.source = source;
+    const confidence = STRUCTURED_CONFIDENCE[source];
+    const text = value => jsonText(resolve(value));
+    const types = schemaTypes(node);
+
+    // additionalProperty name/value pairs and engine details read like a spec
+    // table, first so the named properties below win
+    const rows = [].concat(node.additionalProperty || []).map(resolve).filter(isPlainObject)
+        .map(property => ({ label: text(property.name), value: schemaQuantityText(property) }));
+    const engine = resolve(node.vehicleEngine);
+    if (isPlainObject(engine)) {
+        rows.push({ label: 'engine', value: text(engine.name) || text(engine.engineType) });
+        rows.push({ label: 'power', value: schemaQuantityText(resolve(engine.enginePower)) });
+        rows.push({ label: 'fuel', value: text(engine.fuelType) });
+    }
+    rows.push({ label: 'fuel', value: text(node.fuelType) });
+    const odometer = resolve(node.mileageFromOdometer);
+    if (isPlainObject(odometer) && odometer.unitCode === 'HUR') rows.push({ label: 'engine hours', value: schemaQuantityText(odometer) });
+    applySpecRows(yacht, rows.filter(row => row.label && row.value)).forEach(field => {
+        if (PROVENANCE_FIELDS.includes(field)) noteField(yacht, field, SPEC_TABLE_CONFIDENCE);
+    });
+
+    const make = text(node.brand) || text(node.manufacturer);
+    if (make) yacht.make = make;
+    const model = text(node.model);
+    if (model) yacht.model = model;
+    const type = normalizeType(text(node.bodyType) || text(node.vehicleConfiguration) || text(node.category));
+    if (type) yacht.type = type;
+    ['make', 'model', 'type'].forEach(field => {
+        if (yacht[field] && !yacht.provenance[field]) noteField(yacht, field, confidence);
+    });
+
+    const year = SCHEMA_YEAR_KEYS.map(key => text(node[key]).match(/\b(19|20)\d{2}\b/)).find(Boolean);
+    if (year) {
+        yacht.year = year[0];
+        noteField(yacht, 'year', confidence);
+    }
+
+    yacht.title = text(node.name);
+    if (yacht.title) noteField(yacht, 'title', confidence);
+    fallbackTitle(yacht, confidence);
+    yacht.description = text(node.description).slice(0, 2000);
+    if (yacht.description) noteField(yacht, 'description', confidence);
+
+    if (typeof node.url === 'string') yacht.detailUrl = resolveUrl(node.url, baseUrl);
+
+    yacht.images = [...schemaImageUrls(node.image, resolve), ...schemaImageUrls(node.photo, resolve)]
+        .map(src => resolveUrl(src, baseUrl))
+        .filter(src => src && /^https?:/.test(src))
+        .filter((src, i, all) => all.indexOf(src) === i)
+        .slice(0, 20);
+    if (yacht.images.length > 0) noteField(yacht, 'images', confidence);
+
+    const offers = [].concat(resolve(node.offers) || []).map(resolve).filter(isPlainObject);
+    const offer = offers.find(o => o.price || o.lowPrice || o.priceSpecification) || offers[0];
+    if (offer) applySchemaOffer(yacht, offer, { confidence, resolve, charter: types.includes('BoatTrip') });
+
+    const place = types.includes('BoatTrip')
+        ? node.departureBoatTerminal || node.itinerary
+        : (offer && (offer.availableAtOrFrom || offer.areaServed)) || node.availableAtOrFrom || node.location;
+    if (applyLocation(yacht, schemaPlaceText(place, resolve))) noteField(yacht, 'location', confidence);
+
+    // Fall back to a year in the name or description
+    const yearMatch = !yacht.year && (yacht.title + ' ' + yacht.description).match(/\b(19[89]\d|20[0-2]\d)\b/);
+    if (yearMatch) {
+        yacht.year = yearMatch[1];
+        noteField(yacht, 'year', FREE_TEXT_CONFIDENCE.year, 'regex');
+    }
+
+    return yacht;
+}
+
+/**
+ * Apply an Offer or AggregateOffer: amount and currency (directly or in
+ * priceSpecification), tax inclusion and availability. With charter set the
+ * amount is a charter rate per its unit (default a week).
+ */
+function applySchemaOffer(yacht, offer, { confidence, resolve, charter = false }) {
+    const spec = [].concat(resolve(offer.priceSpecification) || []).map(resolve).find(isPlainObject) || {};
+    const amount = [offer.price, offer.lowPrice, spec.price, spec.minPrice].find(value => value !== undefined && value !== null && value !== '');
+    const currency = jsonText(offer.priceCurrency || spec.priceCurrency).toUpperCase() || null;
+    const priceText = jsonText(amount);
+
+    const parsed = /^\d+(\.\d+)?$/.test(priceText)
+        ? buildPrice(parseFloat(priceText), currency, '', priceText)
+        : classifyPrice(priceText, { currency, isField: true });
+    if (parsed.raw) {
+        const taxIncluded = spec.valueAddedTaxIncluded;
+        if (typeof taxIncluded === 'boolean') parsed.info.taxIncluded = taxIncluded;
+        if (charter) {
+            const unit = resolve(spec.referenceQuantity) || {};
+            const period = charterPeriod(`per ${spec.unitText || unit.unitText || SCHEMA_UNIT_CODES[spec.unitCode || unit.unitCode] || 'week'}`);
+            parsed.status = 'charter';
+            parsed.formatted = `${parsed.formatted} / ${period}`;
+            parsed.info = { ...parsed.info, period };
+        }
+        applyPrice(yacht, parsed, confidence);
+    } else if (parsed.status && !charter) {
+        // "POA" or "Sold" in place of the amount
+        applyPrice(yacht, parsed, confidence);
+    }
+
+    const status = SCHEMA_AVAILABILITY.find(([, regex]) => regex.test(jsonText(offer.availability)));
+    if (status && !charter) {
+        yacht.priceStatus = status[0];
+        if (!yacht.price) yacht.price = PRICE_STATUS_LABELS[status[0]];
+        if (!yacht.provenance.price) noteField(yacht, 'price', confidence);
+    }
+}
+
+// An element's itemtype as an array of bare type names
+function microdataTypes(element) {
+    return (element.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean).map(type => type.split(/[/#]/).pop());
+}
+
+/**
+ * Read a microdata item into a JSON-LD-like object: its own itemprops
+ * (not those of nested items), nested items as objects, repeated
+ * properties as arrays.
+ */
+function microdataObject(element, depth = 0) {
+    const item = { '@type': microdataTypes(element) };
+    element.querySelectorAll('[itemprop]').forEach(el => {
+        if (el.parentElement?.closest('[itemscope]') !== element) return;
+        const value = el.hasAttribute('itemscope') && depth < 5 ? microdataObject(el, depth + 1) : microdataValue(el);
+        el.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+            item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+        });
+    });
+    return item;
+}
+
+// A microdata property value: content attribute, link target, media
+// source, machine-readable time or value, else the text
+function microdataValue(el) {
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (/^(?:A|AREA|LINK)$/.test(el.tagName)) return el.getAttribute('href') || '';
+    if (/^(?:IMG|SOURCE|VIDEO|AUDIO|IFRAME|EMBED)$/.test(el.tagName)) return el.getAttribute('src') || el.getAttribute('data-src') || '';
+    if (el.tagName === 'TIME') return el.getAttribute('datetime') || cleanText(el.textContent);
+    if (/^(?:DATA|METER)$/.test(el.tagName)) return el.getAttribute('value') || cleanText(el.textContent);
+    return cleanText(el.textContent);
+}
+
+/**
+ * Last resort: a listing from OpenGraph / Twitter Card meta tags. Only
+ * product pages (og:type product, or a price tag) qualify - on other pages
+ * the tags describe the site, not a boat.
+ */
+function extractMetaListing(doc, baseUrl) {
+    const meta = name => [...doc.querySelectorAll(`meta[property="${name}"], meta[name="${name}"]`)]
+        .map(el => cleanText(el.getAttribute('content') || ''))
+        .filter(Boolean);
+    const first = (...names) => names.map(name => meta(name)[0]).find(Boolean) || '';
+
+    // Twitter Cards put labelled values in label1/data1, label2/data2
+    const twitterPrice = [1, 2]
+        .filter(i => allLanguageTerms('price').some(term => containsTerm(first(`twitter:label${i}`).toLowerCase(), term)))
+        .map(i => first(`twitter:data${i}`))
+        .find(Boolean);
+    const amount = first('product:price:amount', 'og:price:amount') || twitterPrice;
+    if (!/product/i.test(first('og:type')) && !amount) return null;
+
+    const node = {
+        '@type': ['Product'],
+        name: first('og:title', 'twitter:title'),
+        description: first('og:description', 'twitter:description', 'description'),
+        url: first('og:url'),
+        image: [...meta('og:image'), ...meta('og:image:url'), ...meta('twitter:image')],
+        brand: first('product:brand', 'og:brand'),
+        offers: {
+            price: amount,
+            priceCurrency: first('product:price:currency', 'og:price:currency'),
+            availability: first('product:availability', 'og:availability')
+        }
+    };
+    const yacht = mapSchemaListing(node, baseUrl, 'opengraph', value => value);
+    return yacht.title ? yacht : null;
+}
+
+// ============================================================================
+// EMBEDDED STATE & JSON ENDPOINTS
+// ============================================================================
+
+// Key aliases for boat-like JSON objects, compared lowercased without _ - or spaces
+const JSON_FIELD_KEYS = {
+    title: ['title', 'name', 'boatname', 'yachtname', 'vesselname', 'listingtitle', 'posttitle', 'heading'],
+    price: ['price', 'askingprice', 'listprice', 'saleprice', 'priceusd', 'displayprice', 'formattedprice', 'pricevalue'],
+    currency: ['currency', 'pricecurrency', 'currencycode'],
+    status: ['status', 'salestatus', 'salesstatus', 'listingstatus', 'availability'],
+    year: ['year', 'yearbuilt', 'buildyear', 'modelyear', 'built'],
+    length: ['length', 'loa', 'lengthoverall', 'lengthft', 'lengthfeet'],
+    lengthMetric: ['lengthm', 'lengthmeters', 'lengthmetres', 'loam'],
+    beam: ['beam', 'beamft', 'width'],
+    draft: ['draft', 'draught', 'draftft', 'maxdraft'],
+    displacement: ['displacement', 'displacementkg', 'weight', 'dryweight'],
+    engineMake: ['enginemake', 'enginemanufacturer', 'enginebrand', 'engine'],
+    engineModel: ['enginemodel', 'enginetype'],
+    engineCount: ['enginecount', 'numberofengines', 'numengines', 'enginesqty', 'engines'],
+    horsepower: ['horsepower', 'hp', 'enginehp', 'enginepower', 'power'],
+    totalPower: ['totalpower', 'totalhp', 'totalhorsepower'],
+    fuel: ['fuel', 'fueltype', 'enginefuel'],
+    engineHours: ['enginehours', 'hours', 'enginehrs'],
+    drive: ['drive', 'drivetype', 'propulsion', 'propulsiontype'],
+    maxSpeed: ['maxspeed', 'topspeed', 'speedmax'],
+    cruiseSpeed: ['cruisespeed', 'cruisingspeed', 'speedcruise'],
+    make: ['make', 'manufacturer', 'builder', 'brand', 'makestring'],
+    model: ['model', 'modelname'],
+    type: ['type', 'boattype', 'vesseltype', 'category', 'class'],
+    location: ['location', 'city', 'port', 'locationname', 'address', 'region'],
+    description: ['description', 'summary', 'excerpt', 'content', 'shortdescription'],
+    images: ['images', 'photos', 'gallery', 'pictures', 'media', 'image', 'photo', 'thumbnail', 'featuredimage', 'mainimage', 'imageurl', 'thumbnailurl', 'picture'],
+    detailUrl: ['url', 'link', 'permalink', 'href', 'detailurl', 'listingurl']
+};
+
+// Nested objects whose keys are searched too (ACF fields, spec blocks...)
+const JSON_NESTED_KEYS = ['acf', 'meta', 'attributes', 'fields', 'specs', 'specifications', 'details', 'boat', 'yacht', 'vessel', 'listing'];
+
+// Keys on an image object that hold its URL
+const JSON_IMAGE_KEYS = ['url', 'src', 'href', 'source_url', 'large', 'original', 'full', 'uri'];
+
+// Fields that, next to a title, make an object look like a listing
+const JSON_SIGNAL_FIELDS = ['price', 'year', 'length', 'make', 'model'];
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const normalizeJsonKey = key => key.toLowerCase().replace(/[_\-\s]/g, '');
+
+/**
+ * Read the JSON literal (object or array) starting at text[start],
+ * skipping brackets inside strings. Returns the literal text or null.
+ */
+function readJsonLiteral(text, start) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'" || ch === '`') {
+            quote = ch;
+        } else if (ch === '{' || ch === '[') {
+            depth++;
+        } else if (ch === '}' || ch === ']') {
+            depth--;
+            if (depth === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Collect state blobs embedded in the page: JSON script tags such as
+ * __NEXT_DATA__, and inline assignments like window.__INITIAL_STATE__ = {...}
+ * or var listings = [...]. Literals that aren't valid JSON are skipped.
+ */
+function extractEmbeddedState(doc) {
+    const states = [];
+
+    doc.querySelectorAll('script').forEach(script => {
+        const type = (script.getAttribute('type') || '').toLowerCase();
+        const text = script.textContent || '';
+        if (type === 'application/ld+json' || !text.trim()) return;
+
+        if (type === 'application/json') {
+            try {
+                states.push({ name: script.id || 'application/json', data: JSON.parse(text) });
+            } catch (e) {
+                log('Embedded JSON parse error:', script.id, e.message);
+            }
+            return;
+        }
+        if (type && !/javascript|ecmascript|module/.test(type)) return;
+
+        const assignment = /(?:window\.|var\s+|let\s+|const\s+)([\w$.]+)\s*=\s*(?=[[{])/g;
+        let match;
+        while ((match = assignment.exec(text)) !== null) {
+            const literal = readJsonLiteral(text, assignment.lastIndex);
+            if (!literal) continue;
+            try {
+                states.push({ name: match[1], data: JSON.parse(literal) });
+                assignment.lastIndex += literal.length;
+            } catch {
+                // Plain JS object literal (unquoted keys, functions) - not data we can read
+            }
+        }
+    });
+
+    return states;
+}
+
+/**
+ * Value of a listing field on a JSON object, looking through the alias
+ * list and the common nested containers. Unwraps WordPress {rendered}.
+ */
+function jsonFieldValue(obj, field) {
+    const scopes = [obj, ...JSON_NESTED_KEYS.map(key => obj[key]).filter(isPlainObject)];
+
+    for (const alias of JSON_FIELD_KEYS[field]) {
+        for (const scope of scopes) {
+            for (const key of Object.keys(scope)) {
+                if (normalizeJsonKey(key) !== alias) continue;
+                let value = scope[key];
+                if (isPlainObject(value) && 'rendered' in value) value = value.rendered;
+                if (value !== null && value !== undefined && value !== '') return value;
+            }
+        }
+    }
+    return null;
+}
+
+// Flatten a JSON value to display text, dropping any HTML markup
+function jsonText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(jsonText).filter(Boolean).join(', ');
+    if (isPlainObject(value)) {
+        return ['name', 'title', 'label', 'city', 'state', 'region', 'country']
+            .map(key => typeof value[key] === 'string' ? value[key] : '')
+            .filter(Boolean)
+            .join(', ');
+    }
+    const text = String(value);
+    if (!/[<&]/.test(text)) return cleanText(text);
+    // Markup or entities (WordPress "rendered" fields): let the DOM decode them
+    const doc = parseHtml(`<html><body>${text.replace(/<[^>]+>/g, ' ')}</body></html>`);
+    return cleanText(doc.body.textContent);
+}
+
+function jsonImageUrls(value) {
+    if (!value) return [];
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(jsonImageUrls);
+    if (isPlainObject(value)) {
+        const key = JSON_IMAGE_KEYS.find(k => typeof value[k] === 'string');
+        return key ? [value[key]] : [];
+    }
+    return [];
+}
+
+function isBoatLikeObject(obj, minSignals) {
+    if (!isPlainObject(obj)) return false;
+    if (!jsonFieldValue(obj, 'title') && !jsonFieldValue(obj, 'make')) return false;
+    return JSON_SIGNAL_FIELDS.filter(field => jsonFieldValue(obj, field) !== null).length >= minSignals;
+}
+
+/**
+ * Find the array in a JSON value with the most boat-like objects.
+ * At least half of the array's objects must look like listings.
+ */
+function findBoatArray(data, minSignals) {
+    let best = null;
+    let bestCount = 0;
+
+    const visit = (value, depth) => {
+        if (depth > 12 || !value || typeof value !== 'object') return;
+
+        if (Array.isArray(value)) {
+            const objects = value.filter(isPlainObject);
+            const count = objects.filter(obj => isBoatLikeObject(obj, minSignals)).length;
+            if (count > bestCount && count * 2 >= objects.length) {
+                best = objects;
+                bestCount = count;
+            }
+            value.forEach(item => visit(item, depth + 1));
+            return;
+        }
+
+        Object.values(value).forEach(item => visit(item, depth + 1));
+    };
+
+    visit(data, 0);
+    return best ? best.filter(obj => isBoatLikeObject(obj, minSignals)) : [];
+}
+
+/**
+ * extractEngine() output from an object's engine keys. Separate keys
+ * win over the engine description; their numbers lose any unit text, so
+ * horsepower is hp and speeds are knots.
+ */
+function jsonEngine(obj) {
+    const text = key => jsonText(jsonFieldValue(obj, key));
+    const number = key => {
+        const value = parseNumber(text(key).replace(/[^\d.,\s]/g, ''), { kind: 'count' }).value;
+        return Number.isFinite(value) ? value : null;
+    };
+    const engine = {};
+    const speed = {};
+
+    // "engine" is often a description: "2 x Volvo Penta IPS 600, 435 hp"
+    const described = text('engineMake');
+    if (described) {
+        Object.assign(engine, extractEngine(described).engine);
+        if (!engine.make) engine.make = described;
+    }
+    if (text('engineModel')) engine.model = text('engineModel');
+    if (number('engineCount')) engine.count = number('engineCount');
+    if (number('horsepower')) engine.hp = number('horsepower');
+    if (number('totalPower')) engine.totalHp = number('totalPower');
+    if (engine.count && engine.hp && !engine.totalHp) engine.totalHp = engine.hp * engine.count;
+    if (number('engineHours') !== null) engine.hours = number('engineHours');
+
+    const fuel = classifyFuel(text('fuel'));
+    if (fuel) engine.fuel = fuel;
+    const drive = ENGINE_DRIVES.find(([, regex]) => regex.test(text('drive')));
+    if (drive) engine.drive = drive[0];
+
+    if (number('maxSpeed')) speed.max = number('maxSpeed');
+    if (number('cruiseSpeed')) speed.cruise = number('cruiseSpeed');
+    return { engine, speed };
+}
+
+// Confidence of a value read from a recognised JSON key; image lists and
+// made-up titles get 10 less
+const JSON_FIELD_CONFIDENCE = 80;
+
+/**
+ * Map one boat-like JSON object onto the createEmptyYacht shape.
+ */
+function mapJsonYacht(obj, baseUrl, source, index) {
+    const yacht = createEmptyYacht(index);
+    yacht.source = source;
+
+    yacht.make = jsonText(jsonFieldValue(obj, 'make'));
+    yacht.model = jsonText(jsonFieldValue(obj, 'model'));
+    yacht.type = normalizeType(jsonText(jsonFieldValue(obj, 'type')));
+    applyLocation(yacht, jsonText(jsonFieldValue(obj, 'location')));
+    yacht.description = jsonText(jsonFieldValue(obj, 'description')).slice(0, 2000);
+
+    const year = jsonText(jsonFieldValue(obj, 'year')).match(/\b(19|20)\d{2}\b/);
+    if (year) yacht.year = year[0];
+
+    yacht.title = jsonText(jsonFieldValue(obj, 'title'));
+    if (yacht.title) noteField(yacht, 'title', JSON_FIELD_CONFIDENCE);
+    fallbackTitle(yacht, JSON_FIELD_CONFIDENCE);
+
+    let price = jsonFieldValue(obj, 'price');
+    let currency = jsonText(jsonFieldValue(obj, 'currency')).toUpperCase() || null;
+    if (isPlainObject(price)) {
+        currency = (price.currency || price.currencyCode || currency || '').toUpperCase() || null;
+        price = price.amount !== undefined ? price.amount : price.value;
+    }
+    const priceText = jsonText(price);
+    if (typeof price === 'number' || /^\d+(\.\d+)?$/.test(priceText)) {
+        if (parseFloat(priceText)) applyPrice(yacht, buildPrice(parseFloat(priceText), currency, '', priceText));
+    } else if (priceText) {
+        const parsed = classifyPrice(priceText, { currency, isField: true });
+        if (parsed.raw || parsed.status) applyPrice(yacht, parsed);
+    }
+    if (yacht.price) noteField(yacht, 'price', JSON_FIELD_CONFIDENCE);
+
+    // A separate status field ("sold", "under_offer") overrides the price wording
+    const status = priceStatus(jsonText(jsonFieldValue(obj, 'status')).replace(/[_-]/g, ' '));
+    if (status && status !== 'reduced') {
+        yacht.priceStatus = status;
+        if (!yacht.price) yacht.price = PRICE_STATUS_LABELS[status];
+    }
+
+    // Bare numbers are feet (metres under *m keys) and kg for displacement
+    const dimensions = {};
+    [['loa', 'length', 'ft'], ['loa', 'lengthMetric', 'm'], ['beam', 'beam', 'ft'], ['draft', 'draft', 'ft']].forEach(([dimension, key, unit]) => {
+        const value = dimensions[dimension] ? null : parseLength(jsonText(jsonFieldValue(obj, key)), { defaultUnit: unit });
+        if (value) dimensions[dimension] = value;
+    });
+    const displacement = parseWeight(jsonText(jsonFieldValue(obj, 'displacement')), { defaultUnit: 'kg' });
+    if (displacement) dimensions.displacement = displacement;
+    applyDimensions(yacht, dimensions);
+
+    applyEngine(yacht, jsonEngine(obj));
+
+    // WordPress REST with _embed keeps the featured image out of the post
+    const embedded = obj._embedded && obj._embedded['wp:featuredmedia'];
+    yacht.images = [...jsonImageUrls(jsonFieldValue(obj, 'images')), ...jsonImageUrls(embedded)]
+        .map(src => resolveUrl(src, baseUrl))
+        .filter(src => src && /^https?:/.test(src))
+        .filter((src, i, all) => all.indexOf(src) === i)
+        .slice(0, 20);
+    if (yacht.images.length > 0) noteField(yacht, 'images', JSON_FIELD_CONFIDENCE - 10);
+
+    const detailUrl = jsonFieldValue(obj, 'detailUrl');
+    if (typeof detailUrl === 'string') yacht.detailUrl = resolveUrl(detailUrl, baseUrl);
+
+    ['year', 'length', 'type', 'make', 'model', 'location', 'description'].forEach(field => {
+        if (yacht[field]) noteField(yacht, field, JSON_FIELD_CONFIDENCE);
+    });
+    return yacht;
+}
+
+/**
+ * Listings held in the page's embedded state blobs.
+ * Returns { yachts, states } where states names every blob found.
+ */
+function extractEmbeddedListings(doc, baseUrl) {
+    const states = extractEmbeddedState(doc);
+    let yachts = [];
+
+    for (const state of states) {
+        const objects = findBoatArray(state.data, 1);
+        if (objects.length > yachts.length) {
+            yachts = objects.map((obj, i) => mapJsonYacht(obj, baseUrl, 'embedded-state', i));
+            log(`Embedded state ${state.name}: ${objects.length} listings`);
+        }
+    }
+
+    return { yachts, states: states.map(state => state.name) };
+}
+
+/**
+ * Find XHR inventory endpoints referenced by the page: the WordPress REST
+ * root, admin-ajax actions, Algolia indexes and JSON URLs mentioning boats.
+ * Returns [{ url, kind }] - every endpoint is a plain GET.
+ */
+function discoverJsonEndpoints(doc, baseUrl) {
+    const endpoints = [];
+    const add = (url, kind) => {
+        const full = resolveUrl(url, baseUrl);
+        if (full && !endpoints.some(e => e.url === full)) endpoints.push({ url: full, kind });
+    };
+
+    const scripts = Array.from(doc.querySelectorAll('script:not([src])'))
+        .map(script => script.textContent || '')
+        .join('\n')
+        .replace(/\\\//g, '/');
+
+    // WordPress REST: list post types first, boat-like ones are followed
+    const wpRoot = doc.querySelector('link[rel="https://api.w.org/"]');
+    if (wpRoot) add(wpRoot.getAttribute('href').replace(/\/?$/, '/') + 'wp/v2/types', 'wp-types');
+
+    // admin-ajax actions that sound like inventory loaders
+    const ajaxUrl = scripts.match(/["']([^"'\s]*\/wp-admin\/admin-ajax\.php)["']/);
+    if (ajaxUrl) {
+        const actions = scripts.match(/\baction["']?\s*[:=]\s*["']([\w-]+)["']/g) || [];
+        actions
+            .map(action => action.match(/["']([\w-]+)["']$/)[1])
+            .filter(action => /boat|yacht|vessel|listing|inventory|search|filter|load/i.test(action))
+            .forEach(action => add(`${ajaxUrl[1]}?action=${encodeURIComponent(action)}`, 'admin-ajax'));
+    }
+
+    // Algolia: app id + search-only key are public by design
+    const algolia = scripts.match(/algoliasearch\(\s*["'](\w+)["']\s*,\s*["'](\w+)["']/);
+    if (algolia) {
+        const indexes = (scripts.match(/(?:initIndex\(\s*|indexName["']?\s*:\s*)["']([\w.-]+)["']/g) || [])
+            .map(ref => ref.match(/["']([\w.-]+)["']$/)[1]);
+        Array.from(new Set(indexes)).forEach(index => {
+            add(`https://${algolia[1]}-dsn.algolia.net/1/indexes/${encodeURIComponent(index)}` +
+                `?query=&hitsPerPage=100&x-algolia-application-id=${algolia[1]}&x-algolia-api-key=${algolia[2]}`, 'algolia');
+        });
+    }
+
+    // Any quoted URL that looks like a JSON API for boats
+    const urlPattern = /["']((?:https?:)?\/[^"'\s<>]*?(?:api|json|ajax|feed)[^"'\s<>]*?)["']/gi;
+    let match;
+    while ((match = urlPattern.exec(scripts)) !== null) {
+        const url = match[1];
+        if (/\.(js|css|png|jpe?g|svg|woff2?)(\?|$)/i.test(url) || url.includes('admin-ajax.php')) continue;
+        if (/boat|yacht|vessel|listing|inventor/i.test(url)) add(url, 'json');
+    }
+
+    if (endpoints.length > 0) log('JSON endpoints found:', endpoints.map(e => e.url));
+    return endpoints;
+}
+
+/**
+ * Parse a response from a discovered endpoint. JSON arrays of boat-like
+ * objects are mapped directly; a WordPress type index yields follow-up
+ * endpoints; HTML (or JSON wrapping an HTML fragment, as admin-ajax often
+ * returns) goes through parseYachtListings without site validation - the
+ * page the endpoint was found on already passed it.
+ *
+ * Returns { yachts, endpoints, report }.
+ */
+function parseJsonInventory(text, sourceUrl) {
+    const debug = { attempted: 0, accepted: 0, rejected: 0, rejectionReasons: [] };
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        const result = parseYachtListings(text, sourceUrl, { validate: false });
+        return { yachts: result.yachts, endpoints: [], report: result.report };
+    }
+
+    // WordPress /wp/v2/types: follow the post types that hold boats
+    const endpoints = [];
+    if (/\/wp\/v2\/types\/?(\?|$)/.test(sourceUrl) && isPlainObject(data)) {
+        const root = sourceUrl.replace(/types\/?(\?.*)?$/, '');
+        Object.values(data)
+            .filter(type => isPlainObject(type) && type.rest_base)
+            .filter(type => /yacht|boat|vessel|listing|inventory/i.test(`${type.slug} ${type.name}`))
+            .forEach(type => endpoints.push({ url: `${root}${type.rest_base}?per_page=100&_embed`, kind: 'wp-posts' }));
+        return { yachts: [], endpoints, report: { url: sourceUrl, debug } };
+    }
+
+    // Posts from a boat post type need no extra signal beyond a title
+    const minSignals = /\/wp\/v2\//.test(sourceUrl) ? 0 : 1;
+    let yachts = findBoatArray(data, minSignals).map((obj, i) => mapJsonYacht(obj, sourceUrl, 'json-endpoint', i));
+
+    if (yachts.length === 0) {
+        const fragments = [];
+        const visit = value => {
+            if (typeof value === 'string' && value.length > 200 && /<\w+[^>]*>/.test(value)) fragments.push(value);
+            else if (value && typeof value === 'object') Object.values(value).forEach(visit);
+        };
+        visit(data);
+        fragments.forEach(fragment => {
+            yachts.push(...parseYachtListings(`<html><body>${fragment}</body></html>`, sourceUrl, { validate: false }).yachts);
+        });
+        return { yachts: deduplicateYachts(yachts), endpoints, report: { url: sourceUrl, debug } };
+    }
+
+    yachts = finalizeYachts(yachts, sourceUrl, debug);
+    return { yachts, endpoints, report: { url: sourceUrl, yachts, debug } };
+}
+
+// ============================================================================
+// DECLARATIVE ADAPTERS
+// ============================================================================
+
+/**
+ * Adapter configs - plain JSON, interpreted by createConfigAdapter().
+ * Support staff can add a broker without writing JavaScript: drop a JSON file
+ * in docs/adapters/ and list it in docs/adapters/manifest.json.
+ *
+ * Config shape:
+ *   name        Identifier, also used as yacht.source
+ *   match       { urlIncludes: [..], urlPattern: 'regex', selector: 'css' } - any hit detects the site
+ *   card        CSS selector for one listing card
+ *   fields      { <field>: rule | [rule, ...] } - rules are tried in order until one yields a value
+ *                 rule: { selector: 'css' | ['css', ...], attr, regex, all, confidence }
+ *                 attr: 'text' (default), 'href', 'src', 'background' or any attribute name
+ *   specsFrom   Selectors run through extractSpecs(), ':scope' is the card itself (default [':scope'])
+ *   require     Fields a card must have to be kept (default ['title'])
+ */
+const ADAPTER_CONFIGS = [
+    // WordPress Property/Listing Theme (common pattern used by many brokers)
+    {
+        name: 'wp-listing-theme',
+        match: {
+            selector: '.listing_wrapper, .property_listing, .listing-unit-img-wrapper, .listing_unit_price_wrapper'
+        },
+        card: '.listing_wrapper, .property_listing',
+        fields: {
+            title: { selector: 'h4 a, .listing-title a, .property-title a', confidence: 90 },
+            detailUrl: { selector: 'h4 a, .listing-title a, .property-title a', attr: 'href' },
+            price: { selector: '.price_wrapper, .listing_unit_price_wrapper span, .price, [class*="price"]', confidence: 90 },
+            images: { selector: '.listing-unit-img-wrapper img, .property-img img, img', attr: 'src', confidence: 85 }
+        },
+        specsFrom: ['.property_location, .listing-meta, .property-meta', ':scope']
+    },
+
+    // Network Yacht Brokers style (uses .outline cards, ltboats classes, background images)
+    {
+        name: 'nyb-style',
+        match: {
+            urlIncludes: ['networkyachtbrokers'],
+            selector: '.outline, .ltboats-details-title, .ltboats-img, [class*="ltboats"]'
+        },
+        card: '.outline, .boat-card, .yacht-card',
+        fields: {
+            // The image is usually wrapped in an a[href*="/boats"] too, and it has no text
+            title: { selector: ['.ltboats-details-title', '.boat-title', 'h3 a', 'h4 a', 'a[href*="/boats"]'], confidence: 90 },
+            detailUrl: { selector: ['.ltboats-details-title', '.boat-title', 'h3 a', 'h4 a', 'a[href*="/boats"]'], attr: 'href' },
+            year: { selector: '.ltboats-details-year, .boat-year, [class*="year"]', regex: '\\b(19[5-9]\\d|20[0-2]\\d)\\b' },
+            price: { selector: '.ltboats-details-price, .boat-price, [class*="price"]', confidence: 90 },
+            location: { selector: '.ltboats-details-location, .boat-location, [class*="location"]', confidence: 60 },
+            images: [
+                { selector: '.ltboats-img, [class*="boat-img"], [style*="background"]', attr: 'background', confidence: 85 },
+                { selector: 'img', attr: 'src', confidence: 80 }
+            ]
+        }
+    }
+];
+
+const CONFIG_FIELDS = ['title', 'detailUrl', 'price', 'year', 'length', 'type', 'make', 'model', 'location', 'description', 'images'];
+
+// Confidence of a config rule's value when the rule sets none
+const FIELD_CONFIDENCE_DEFAULTS = { title: 85, price: 85, images: 80 };
+const RULE_CONFIDENCE_DEFAULT = 75;
+
+function validateAdapterConfig(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') return ['Config must be an object'];
+    if (!config.name || typeof config.name !== 'string') errors.push('Missing "name"');
+    if (!config.card || typeof config.card !== 'string') errors.push('Missing "card" selector');
+    if (!config.match || !(config.match.urlIncludes || config.match.urlPattern || config.match.selector)) {
+        errors.push('"match" needs at least one of urlIncludes, urlPattern or selector');
+    }
+    if (config.match && config.match.urlPattern) {
+        try { new RegExp(config.match.urlPattern); } catch (e) { errors.push(`Invalid match.urlPattern: ${e.message}`); }
+    }
+    if (!config.fields || typeof config.fields !== 'object') {
+        errors.push('Missing "fields"');
+    } else {
+        for (const [field, rules] of Object.entries(config.fields)) {
+            if (!CONFIG_FIELDS.includes(field)) errors.push(`Unknown field "${field}"`);
+            for (const rule of [].concat(rules)) {
+                if (rule.regex) {
+                    try { new RegExp(rule.regex); } catch (e) { errors.push(`Invalid regex for ${field}: ${e.message}`); }
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+function matchesConfig(match, doc, url) {
+    if (match.urlIncludes && match.urlIncludes.some(part => url.includes(part))) return true;
+    if (match.urlPattern && new RegExp(match.urlPattern, 'i').test(url)) return true;
+    if (match.selector && doc.querySelector(match.selector) !== null) return true;
+    return false;
+}
+
+function selectRuleElements(card, rule) {
+    if (!rule.selector) return [card];
+    if (rule.all) return Array.from(card.querySelectorAll([].concat(rule.selector).join(', ')));
+
+    // Array selectors are tried in priority order, a string follows document order
+    return [].concat(rule.selector)
+        .map(sel => card.querySelector(sel))
+        .filter(Boolean);
+}
+
+function readRuleValue(el, rule, field) {
+    let value;
+    switch (rule.attr || 'text') {
+        case 'text':
+            value = field === 'price' ? priceElementText(el) : el.textContent;
+            break;
+        case 'href':
+            value = el.getAttribute('href') || el.closest('a')?.getAttribute('href');
+            break;
+        case 'src':
+            if (field === 'images' && el.tagName === 'IMG' && !isValidImage(el)) return null;
+            value = el.src || el.dataset.src || el.dataset.lazySrc;
+            break;
+        case 'background': {
+            const bgMatch = (el.getAttribute('style') || '').match(/url\(['"]?([^'")\s]+)['"]?\)/);
+            value = bgMatch ? bgMatch[1] : null;
+            break;
+        }
+        default:
+            value = el.getAttribute(rule.attr);
+    }
+
+    if (value && rule.regex) {
+        const match = value.match(new RegExp(rule.regex, 'i'));
+        value = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+    }
+
+    return value || null;
+}
+
+/**
+ * Apply one field's raw value to the yacht. Returns false when the value
+ * is unusable so the next rule can be tried.
+ */
+function applyConfigField(yacht, field, values, confidence, baseUrl) {
+    if (field === 'images') {
+        const images = values.map(v => resolveUrl(v, baseUrl)).filter(Boolean);
+        if (images.length === 0) return false;
+        yacht.images = images;
+        noteField(yacht, 'images', confidence);
+        return true;
+    }
+
+    if (field === 'detailUrl') {
+        yacht.detailUrl = resolveUrl(values[0], baseUrl);
+        return !!yacht.detailUrl;
+    }
+
+    const text = cleanText(values[0]);
+    if (!text) return false;
+
+    if (field === 'price') {
+        const parsed = classifyPrice(text, { isField: true });
+        if (!parsed.raw && !parsed.status) return false;
+        applyPrice(yacht, parsed, confidence);
+        return true;
+    }
+
+    if (field === 'type') {
+        const type = normalizeType(text);
+        if (!type) return false;
+        yacht.type = type;
+        noteField(yacht, 'type', confidence);
+        return true;
+    }
+
+    if (field === 'location') {
+        applyLocation(yacht, text);
+        noteField(yacht, 'location', confidence);
+        return true;
+    }
+
+    if (field === 'length') {
+        const loa = parseLength(text, { defaultUnit: 'ft' });
+        if (!loa) return false;
+        applyDimensions(yacht, { loa });
+        noteField(yacht, 'length', confidence);
+        return true;
+    }
+
+    yacht[field] = text;
+    noteField(yacht, field, confidence);
+    return true;
+}
+
+/**
+ * Build a { name, detect, parse } adapter from a JSON config
+ */
+function createConfigAdapter(config) {
+    const specsFrom = config.specsFrom || [':scope'];
+    const required = config.require || ['title'];
+
+    return {
+        name: config.name,
+        config,
+        detect: (doc, url) => matchesConfig(config.match, doc, url),
+        parse: (doc, url) => {
+            const yachts = [];
+            const cards = doc.querySelectorAll(config.card);
+
+            cards.forEach((card, i) => {
+                const yacht = createEmptyYacht(i);
+                yacht.source = config.name;
+
+                for (const [field, rules] of Object.entries(config.fields)) {
+                    for (const rule of [].concat(rules)) {
+                        const confidence = rule.confidence || FIELD_CONFIDENCE_DEFAULTS[field] || RULE_CONFIDENCE_DEFAULT;
+                        const elements = selectRuleElements(card, rule);
+                        const values = elements
+                            .map(el => readRuleValue(el, rule, field))
+                            .filter(Boolean);
+
+                        // Without "all" only the first matching element counts
+                        const candidates = rule.all ? values : values.slice(0, 1);
+                        if (candidates.length > 0 && applyConfigField(yacht, field, candidates, confidence, url)) break;
+                    }
+                }
+
+                specsFrom.forEach(sel => {
+                    const el = sel === ':scope' ? card : card.querySelector(sel);
+                    if (el) extractSpecs(el, yacht);
+                });
+
+                if (required.every(field => yacht[field] && (!Array.isArray(yacht[field]) || yacht[field].length > 0))) {
+                    yachts.push(yacht);
+                }
+            });
+
+            return yachts;
+        }
+    };
+}
+
+// Number of configs registered at runtime, kept at the front of SITE_ADAPTERS
+let registeredConfigCount = 0;
+
+/**
+ * Register a JSON adapter config at runtime. Site-specific configs go ahead
+ * of the built-in adapters in registration order; a config with an existing
+ * name replaces it.
+ */
+function registerAdapterConfig(config) {
+    const errors = validateAdapterConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid adapter config "${config && config.name}": ${errors.join('; ')}`);
+    }
+
+    const adapter = createConfigAdapter(config);
+    const existing = SITE_ADAPTERS.findIndex(a => a.name === config.name);
+    if (existing >= 0) {
+        SITE_ADAPTERS[existing] = adapter;
+    } else {
+        SITE_ADAPTERS.splice(registeredConfigCount++, 0, adapter);
+    }
+
+    log('Registered adapter config:', config.name);
+    return adapter;
+}
+
+// ============================================================================
+// SITE-SPECIFIC ADAPTERS
+// ============================================================================
+
+/**
+ * Adapter registry - hand-written adapters for layouts a JSON config can't
+ * express. Prefer adding an ADAPTER_CONFIGS entry or a docs/adapters/ file.
+ * Each adapter should have:
+ *   - name: Identifier
+ *   - detect(doc, url): Returns true if this adapter handles the site
+ *   - parse(doc, url): Returns array of yacht objects
+ * and optionally:
+ *   - heuristic: true for guesses from common markup; they only add
+ *     listings when no earlier strategy found any, else they fill gaps
+ *   - single: true for one-listing pages; only used when the page has at
+ *     most one listing
+ * Every adapter that detects the page runs; mergeStrategies() combines them.
+ */
+const SITE_ADAPTERS = [
+    // Built-in JSON configs (see DECLARATIVE ADAPTERS above)
+    ...ADAPTER_CONFIGS.map(createConfigAdapter),
+
+    // YachtWorld-style sites
+    {
+        name: 'yachtworld-style',
+        heuristic: true,
+        detect: (doc, url) => {
+            return url.includes('yachtworld') ||
+                doc.querySelector('.listing-card, .yacht-listing, .boat-listing, .search-result-item') !== null;
+        },
+        parse: (doc, url) => {
+            const yachts = [];
+            const cards = doc.querySelectorAll('.listing-card, .yacht-listing, .boat-listing, .search-result-item, [class*="listing-card"], [class*="boat-card"]');
+
+            cards.forEach((card, i) => {
+                const yacht = createEmptyYacht(i);
+                yacht.source = 'yachtworld-style';
+
+                // Title - look for prominent heading or link
+                const titleEl = card.querySelector('h2, h3, .title, .listing-title, [class*="title"], a[class*="name"]');
+                if (titleEl) yacht.title = cleanText(titleEl.textContent);
+                if (yacht.title) noteField(yacht, 'title', 80);
+
+                // Price - look for price element
+                const priceEl = card.querySelector('.price, [class*="price"], .amount');
+                if (priceEl) applyPrice(yacht, classifyPrice(priceElementText(priceEl), { isField: true }), 85);
+
+                // Image
+                const imgEl = card.querySelector('img[src*="yacht"], img[src*="boat"], img.primary, img.main, img:first-of-type');
+                if (imgEl && isValidImage(imgEl)) {
+                    yacht.images = [resolveUrl(imgEl.src || imgEl.dataset.src, url)];
+                    noteField(yacht, 'images', 80);
+                }
+
+                // Specs - look for common spec patterns
+                extractSpecs(card, yacht);
+
+                if (yacht.title || yacht.priceRaw) {
+                    yachts.push(yacht);
+                }
+            });
+
+            return yachts;
+        }
+    },
+
+    // Grid/card layout (common pattern)
+    {
+        name: 'card-grid',
+        heuristic: true,
+        detect: (doc, url) => {
+            // Look for repeated card-like structures
+            const containers = doc.querySelectorAll('.grid, .cards, .listings, .inventory, .results, .outline, [class*="grid"], [class*="cards"], [class*="boats"], [class*="yachts"]');
+            return containers.length > 0;
+        },
+        parse: (doc, url) => {
+            const yachts = [];
+
+            // Find container with multiple similar children
+            const containers = [
+                ...doc.querySelectorAll('.grid, .cards, .listings, .inventory, .results'),
+                ...doc.querySelectorAll('[class*="grid"], [class*="cards"], [class*="listing"], [class*="boats-list"], [class*="yacht-list"]')
+            ];
+
+            for (const container of containers) {
+                const children = container.children;
+                if (children.length >= 2 && children.length <= 50) {
+                    Array.from(children).forEach((card, i) => {
+                        const yacht = extractFromGenericCard(card, url, i);
+                        if (yacht && (yacht.title || yacht.priceRaw)) {
+                            yacht.source = 'card-grid';
+                            yachts.push(yacht);
+                        }
+                    });
+
+                    if (yachts.length >= 2) break; // Found good container
+                }
+            }
+
+            return yachts;
+        }
+    },
+
+    // Detail page (single yacht)
+    {
+        name: 'detail-page',
+        single: true,
+        detect: (doc, url) => {
+            // Single yacht detail page characteristics
+            const hasDetailMarkers = doc.querySelector('.yacht-detail, .boat-detail, .vessel-detail, .product-detail, #yacht, #boat');
+            const hasSpecs = doc.querySelector('.specifications, .specs, .details, [class*="spec"]');
+            const hasGallery = doc.querySelectorAll('.gallery img, .carousel img, .slider img').length >= 3;
+
+            return hasDetailMarkers || (hasSpecs && hasGallery);
+        },
+        parse: (doc, url) => {
+            const yacht = createEmptyYacht(0);
+            yacht.source = 'detail-page';
+
+            // Title from H1
+            const h1 = doc.querySelector('h1');
+            if (h1) yacht.title = cleanText(h1.textContent);
+            if (yacht.title) noteField(yacht, 'title', 80);
+
+            // Price - look in various places
+            const priceSelectors = ['.price', '[class*="price"]', '.amount', '[class*="amount"]'];
+            for (const sel of priceSelectors) {
+                const el = doc.querySelector(sel);
+                if (el) {
+                    const parsed = classifyPrice(priceElementText(el));
+                    if (parsed.raw ? isPlausiblePrice(parsed.raw, parsed.currency) : parsed.status) {
+                        applyPrice(yacht, parsed, 85);
+                        break;
+                    }
+                }
+            }
+
+            // Images from gallery
+            const galleryImages = doc.querySelectorAll('.gallery img, .carousel img, .slider img, .photos img, [class*="gallery"] img');
+            yacht.images = Array.from(galleryImages)
+                .filter(isValidImage)
+                .map(img => resolveUrl(img.src || img.dataset.src, url))
+                .filter(Boolean)
+                .slice(0, 20);
+
+            if (yacht.images.length === 0) {
+                // Fallback to any large images
+                const allImages = doc.querySelectorAll('img');
+                yacht.images = Array.from(allImages)
+                    .filter(isValidImage)
+                    .map(img => resolveUrl(img.src || img.dataset.src, url))
+                    .filter(Boolean)
+                    .slice(0, 10);
+            }
+
+            if (yacht.images.length > 0) noteField(yacht, 'images', 80);
+
+            // Specs
+            extractSpecs(doc.body, yacht);
+
+            // Description
+            const descEl = doc.querySelector('.description, [class*="description"], .details p, article p');
+            if (descEl) yacht.description = cleanText(descEl.textContent).slice(0, 2000);
+            if (yacht.description) noteField(yacht, 'description', 70);
+
+            return yacht.title || yacht.priceRaw ? [yacht] : [];
+        }
+    }
+];
+
+// ============================================================================
+// NUMBER PARSING
+// ============================================================================
+
+// Currencies whose home markets write "1.234,50"; used when the page has no lang
+const DECIMAL_COMMA_CURRENCIES = ['EUR', 'SEK', 'NOK', 'DKK', 'HRK', 'PLN', 'TRY', 'BRL'];
+
+// Language of the page being parsed (<html lang>). Set by the parse entry
+// points for the duration of a synchronous parse; hints parseNumber().
+let pageLocale = null;
+
+function setPageLocale(doc) {
+    pageLocale = declaredLanguage(doc) || null;
+    return pageLocale;
+}
+
+// Decimal mark for a locale ("de" -> ",", "de-CH" -> "."), null if unknown
+function localeDecimal(locale) {
+    try {
+        const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+        return parts.find(part => part.type === 'decimal').value;
+    } catch {
+        return null;
+    }
+}
+
+function hintedDecimal({ locale, currency }) {
+    const fromLocale = locale ? localeDecimal(locale) : null;
+    if (fromLocale) return fromLocale;
+    if (!currency) return null;
+    return DECIMAL_COMMA_CURRENCIES.includes(currency) ? ',' : '.';
+}
+
+/**
+ * Parse a number written with any common separators: "1,250,000",
+ * "1.234,50", "1 250 000" (also with no-break or thin spaces), "1'250'000",
+ * "12,5". A single "," or "." before exactly three digits could be either
+ * mark; hints { locale, currency, kind } decide it. Prices ('price') and
+ * whole-number counts such as kg ('count') read it as thousands, other
+ * kinds follow the hinted decimal mark.
+ * Returns { value, decimal, ambiguous } - ambiguous when the hints could
+ * not settle it or contradict the reading taken.
+ */
+function parseNumber(text, hints = {}) {
+    const compact = String(text).trim().replace(/[\s'’ʼ\u00a0\u2009\u202f]/g, '');
+    if (!/^\d[\d.,]*$/.test(compact)) return { value: NaN, decimal: null, ambiguous: false };
+
+    const separators = compact.match(/[.,]/g) || [];
+    const last = separators[separators.length - 1];
+    let decimal = null;
+    let ambiguous = false;
+
+    if (new Set(separators).size > 1) {
+        // "1.234,50" / "1,234.50": the last mark is the decimal one
+        if (separators.filter(sep => sep === last).length === 1) decimal = last;
+    } else if (separators.length === 1) {
+        const [whole, fraction] = compact.split(last);
+        if (fraction.length !== 3 || /^0+$/.test(whole)) {
+            decimal = last;
+        } else {
+            const preferred = hintedDecimal(hints);
+            if (hints.kind === 'price' || hints.kind === 'count') {
+                ambiguous = preferred === last;
+            } else {
+                if (!preferred || preferred === last) decimal = last;
+                ambiguous = !preferred;
+            }
+        }
+    }
+
+    const digits = decimal
+        ? compact.split(decimal).map(part => part.replace(/[.,]/g, '')).join('.')
+        : compact.replace(/[.,]/g, '');
+    return { value: parseFloat(digits), decimal, ambiguous };
+}
+
+// Track fields whose number format needs a human check
+function markAmbiguous(yacht, field, ambiguous) {
+    yacht.ambiguousFields = (yacht.ambiguousFields || []).filter(name => name !== field);
+    if (ambiguous) yacht.ambiguousFields.push(field);
+}
+
+// ============================================================================
+// DIMENSIONS
+// ============================================================================
+
+const FEET_PER_METER = 3.28084;
+const LB_PER_KG = 2.20462;
+
+// Spec labels per yacht.dimensions key, tried in this order. "draft" skips
+// "air draft" and a bare "length" skips "length waterline".
+const DIMENSION_LABELS = [
+    ['lwl', 'lwl|waterline length|length (?:at |on )?(?:the )?waterline|length wl'],
+    ['loa', 'loa|length overall|overall length|length o\\.?a\\.?|hull length|length(?! (?:at |on )?(?:the )?waterline| wl)'],
+    ['beam', 'beam|width'],
+    ['airDraft', 'air draft|air draught|bridge clearance|height above water(?:line)?'],
+    ['draft', '(?<!air )(?:draft|draught)'],
+    ['displacement', 'displacement|dry weight|weight']
+];
+
+const NUMBER_SOURCE = '\\d+(?:[.,]\\d+)*';
+
+// 45' 6" / 45 ft 6 in / 45 feet / 13.7m / 13,7 metres. Groups: number,
+// inches, metric unit (absent for feet).
+const LENGTH_SOURCE = `(${NUMBER_SOURCE})\\s*(?:(?:'|’|′|ft\\b\\.?|feet|foot)(?:\\s*(${NUMBER_SOURCE})\\s*(?:"|”|″|''|in\\b\\.?|inch(?:es)?))?|(m|meters?|metres?|mtrs?)(?![a-z]))`;
+
+// 12,500 kg / 12.5 t / 27,558 lbs. Groups: number, unit.
+const WEIGHT_SOURCE = `(${NUMBER_SOURCE})\\s*(kgs?|kilos?|kilograms?|t|tonnes?|tons?|mt|lbs?|pounds?)(?![a-z])`;
+
+// Value right after a label: "Beam: 14' 2''", "LOA - approx. 13.7 m"
+const LABEL_VALUE_PREFIX = '^[\\s:=\\-–.)(]*(?:approx\\.?|ca\\.?|circa|~)?\\s*';
+
+// A second reading in the other unit: "13.7m (45ft)", "45' / 13.7 m"
+const ALTERNATE_PREFIX = '^\\s*[(/\\[|]?\\s*(?:approx\\.?|ca\\.?|~)?\\s*';
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Length in both systems: { m, ft, unit, text, ambiguous } where unit is
+ * the one the listing used and text the original wording.
+ */
+function makeLength(value, unit, text = '', ambiguous = false) {
+    return {
+        m: roundTo(unit === 'm' ? value : value / FEET_PER_METER, 2),
+        ft: roundTo(unit === 'ft' ? value : value * FEET_PER_METER, 2),
+        unit,
+        text: text || `${value} ${unit}`,
+        ambiguous
+    };
+}
+
+function makeWeight(value, unit, text = '', ambiguous = false) {
+    return {
+        kg: Math.round(unit === 'kg' ? value : value / LB_PER_KG),
+        lb: Math.round(unit === 'lb' ? value : value * LB_PER_KG),
+        unit,
+        text: text || `${value} ${unit}`,
+        ambiguous
+    };
+}
+
+function readLengthMatch(match) {
+    const unit = match[3] ? 'm' : 'ft';
+    const number = parseNumber(match[1], { locale: pageLocale, kind: 'length' });
+    const inches = match[2] ? parseNumber(match[2], { locale: pageLocale, kind: 'length' }) : null;
+    const value = unit === 'ft' && inches ? number.value + inches.value / 12 : number.value;
+    return { value, unit, ambiguous: number.ambiguous };
+}
+
+function readWeightMatch(match) {
+    const raw = match[2].toLowerCase();
+    const unit = /^(?:lb|pound)/.test(raw) ? 'lb' : /^k/.test(raw) ? 'kg' : 't';
+    // kg and lb figures are whole numbers, so "12,500 kg" is twelve thousand
+    const number = parseNumber(match[1], { locale: pageLocale, kind: unit === 't' ? 'length' : 'count' });
+    return unit === 't'
+        ? { value: number.value * 1000, unit: 'kg', ambiguous: number.ambiguous }
+        : { value: number.value, unit, ambiguous: number.ambiguous };
+}
+
+// Shared by parseLength() / parseWeight(): { value, end } where end is the
+// offset just past the matched wording
+function matchDimension(text, kind, { anchored = false, defaultUnit = null } = {}) {
+    const [source, read, make] = kind === 'weight'
+        ? [WEIGHT_SOURCE, readWeightMatch, makeWeight]
+        : [LENGTH_SOURCE, readLengthMatch, makeLength];
+    text = text || '';
+    const match = text.match(new RegExp((anchored ? LABEL_VALUE_PREFIX : '') + source, 'i'));
+
+    if (!match) {
+        const bare = defaultUnit && text.match(new RegExp(`^\\s*(${NUMBER_SOURCE})\\s*$`));
+        if (!bare) return null;
+        const number = parseNumber(bare[1], { locale: pageLocale, kind: kind === 'weight' ? 'count' : 'length' });
+        if (!(number.value > 0)) return null;
+        return { value: make(number.value, defaultUnit, cleanText(text), number.ambiguous), end: text.length };
+    }
+
+    const first = read(match);
+    if (!(first.value > 0)) return null;
+    const value = make(first.value, first.unit, cleanText(match[0].replace(new RegExp(LABEL_VALUE_PREFIX), '')), first.ambiguous);
+    let end = match.index + match[0].length;
+
+    const alternate = text.slice(end).match(new RegExp(`${ALTERNATE_PREFIX}${source}\\s*[)\\]]?`, 'i'));
+    if (alternate) {
+        const second = read(alternate);
+        if (second.unit !== first.unit && second.value > 0) {
+            value[second.unit] = kind === 'weight' ? Math.round(second.value) : roundTo(second.value, 2);
+            value.text = cleanText(`${value.text} ${alternate[0]}`);
+            end += alternate[0].length;
+        }
+    }
+    return { value, end };
+}
+
+/**
+ * Parse a length such as 45' 6", "45 ft", "13,7 m" or "13.7m (45ft)" into
+ * makeLength() form. When both units are given each keeps its own figure.
+ * anchored requires the value at the start of text (after a label);
+ * defaultUnit reads a bare number ("45") in that unit. Returns null when
+ * there is no length.
+ */
+function parseLength(text, options) {
+    return matchDimension(text, 'length', options)?.value || null;
+}
+
+/**
+ * Parse a weight ("12,500 kg (27,558 lbs)", "12.5 t") into makeWeight()
+ * form, with the same options as parseLength().
+ */
+function parseWeight(text, options) {
+    return matchDimension(text, 'weight', options)?.value || null;
+}
+
+/**
+ * Labelled dimensions in free text: { loa, lwl, beam, draft, airDraft,
+ * displacement }, each only when found. An unlabelled "45 ft" / "13.7 m"
+ * outside the labelled values counts as LOA when it is within the
+ * CONFIG.MIN/MAX_YACHT_LENGTH_FT range.
+ */
+function extractDimensions(text) {
+    const dimensions = {};
+    const used = [];
+
+    for (const [field, labels] of DIMENSION_LABELS) {
+        for (const label of text.matchAll(new RegExp(`\\b(?:${labels})\\b`, 'gi'))) {
+            const start = label.index + label[0].length;
+            if (used.some(([from, to]) => label.index >= from && label.index < to)) continue;
+
+            const found = matchDimension(text.slice(start, start + 80), field === 'displacement' ? 'weight' : 'length', { anchored: true });
+            // Labelled values only need to be physically possible
+            if (!found || (field !== 'displacement' && found.value.m > 200)) continue;
+
+            dimensions[field] = found.value;
+            used.push([label.index, start + found.end]);
+            break;
+        }
+    }
+
+    if (!dimensions.loa) {
+        for (const match of text.matchAll(new RegExp(LENGTH_SOURCE, 'gi'))) {
+            if (used.some(([from, to]) => match.index >= from && match.index < to)) continue;
+            const value = parseLength(text.slice(match.index));
+            if (value && value.ft >= CONFIG.MIN_YACHT_LENGTH_FT && value.ft <= CONFIG.MAX_YACHT_LENGTH_FT) {
+                dimensions.loa = value;
+                break;
+            }
+        }
+    }
+
+    return dimensions;
+}
+
+/**
+ * Merge dimensions into a yacht. LOA also sets the legacy length /
+ * lengthUnit pair in the listing's own unit.
+ */
+function applyDimensions(yacht, dimensions) {
+    yacht.dimensions = { ...yacht.dimensions, ...dimensions };
+    const loa = dimensions.loa;
+    if (loa) {
+        yacht.length = String(loa[loa.unit]);
+        yacht.lengthUnit = loa.unit;
+        markAmbiguous(yacht, 'length', loa.ambiguous);
+    }
+    return yacht;
+}
+
+/**
+ * Display a length or weight in unit (default: the listing's own), e.g.
+ * 45' 6", 13.87 m, 12,500 kg.
+ */
+function formatDimension(dimension, unit = dimension?.unit) {
+    if (!dimension) return '';
+    if (unit === 'ft') {
+        const inches = Math.round(dimension.ft * 12);
+        const feet = Math.floor(inches / 12);
+        return inches % 12 ? `${feet}' ${inches % 12}"` : `${feet}'`;
+    }
+    if (unit === 'm') return `${roundTo(dimension.m, 2)} m`;
+    return `${dimension[unit].toLocaleString(CONFIG.PRICE_LOCALE)} ${unit}`;
+}
+
+// ============================================================================
+// ENGINES AND SPEED
+// ============================================================================
+
+const HP_PER_KW = 1.341;
+const KNOTS_PER_MPH = 0.868976;
+const KNOTS_PER_KMH = 0.539957;
+
+// [canonical name, regex source, case-sensitive]. Short all-caps makes
+// only count in capitals so "man" and "cat" in prose do not.
+const ENGINE_MAKES = [
+    ['Volvo Penta', 'volvo[\\s-]*penta|volvo'],
+    ['Caterpillar', 'caterpillar'],
+    ['Caterpillar', '\\bCAT\\b', true],
+    ['MAN', '\\bMAN\\b', true],
+    ['MTU', '\\bMTU\\b', true],
+    ['Cummins', 'cummins'],
+    ['Yanmar', 'yanmar'],
+    ['Mercury', 'mercury|mercruiser'],
+    ['Yamaha', 'yamaha'],
+    ['Suzuki', 'suzuki'],
+    ['Honda', 'honda'],
+    ['Evinrude', 'evinrude'],
+    ['Tohatsu', 'tohatsu'],
+    ['Perkins', 'perkins'],
+    ['John Deere', 'john deere'],
+    ['Scania', 'scania'],
+    ['FPT', '\\bFPT\\b|\\bIveco\\b', true],
+    ['Nanni', 'nanni'],
+    ['Beta Marine', 'beta marine'],
+    ['Vetus', 'vetus'],
+    ['Westerbeke', 'westerbeke'],
+    ['Detroit Diesel', 'detroit diesel|\\bDDC\\b'],
+    ['Lombardini', 'lombardini'],
+    ['Torqeedo', 'torqeedo']
+];
+
+// Drive types by yacht.engine.drive value, first match wins
+const ENGINE_DRIVES = [
+    ['ips', /\bips\b/i],
+    ['pod', /\b(?:pods?|pod drives?|zeus|azipod)\b/i],
+    ['outboard', /\boutboards?\b|\bhors[\s-]?bord\b|\baußenborder\b/i],
+    ['sterndrive', /\bstern[\s-]?drives?\b|\bi\/o\b|\binboard[\s/-]outboard\b/i],
+    ['saildrive', /\bsail[\s-]?drives?\b/i],
+    ['jet', /\b(?:water[\s-]?)?jet drives?\b|\bwaterjets?\b/i],
+    ['surface', /\bsurface drives?\b|\barneson\b/i],
+    ['shaft', /\b(?:shaft|v[\s-]?drive|straight shaft|inboards?)\b/i]
+];
+
+const ENGINE_DRIVE_LABELS = {
+    ips: 'IPS', pod: 'Pod', outboard: 'Outboard', sterndrive: 'Sterndrive',
+    saildrive: 'Saildrive', jet: 'Jet', surface: 'Surface drive', shaft: 'Shaft'
+};
+
+// Fuel types, first match wins ("hybrid diesel-electric" is hybrid)
+const ENGINE_FUELS = [
+    ['hybrid', /\bhybrid\b/i],
+    ['diesel', /\b(?:diesel|gasoil|gazole|gas[oó]leo)/i],
+    ['petrol', /\b(?:petrol|gasoline|gasolina|benzine?|benzina|essence|gas engines?|fuel(?: type)?\s*:\s*gas\b)/i],
+    ['electric', /(?:electric|elektro|[ée]lectrique|el[ée]ctrico)\s*(?:motors?|engines?|propulsion|drive)\b|\bfuel(?: type)?\s*:\s*(?:electric|elektr|[ée]lectri|el[ée]ctri)/i]
+];
+
+// Bare fuel-field values ENGINE_FUELS only reads after a "fuel:" label
+const FUEL_FIELD_VALUES = [
+    ['petrol', /^\W*gas\b/i],
+    ['electric', /^\W*(?:electric|elektr|[ée]lectri|el[ée]ctri)/i]
+];
+
+/**
+ * The fuel a fuel field's value names ("Diesel", "Gas", "Electric"), or
+ * null.
+ */
+function classifyFuel(value) {
+    const fuel = [...ENGINE_FUELS, ...FUEL_FIELD_VALUES].find(([, regex]) => regex.test(value || ''));
+    return fuel ? fuel[0] : null;
+}
+
+const COUNT_WORDS = { single: 1, one: 1, twin: 2, two: 2, triple: 3, three: 3, quad: 4, quadruple: 4, four: 4 };
+
+// 435 hp / 2x600 bhp / 320 kW / 300 CV. Groups: number, unit.
+const POWER_SOURCE = '(\\d[\\d.,]*)\\s*(hp|bhp|shp|cv|ps|ch|kw)\\b';
+
+// Tokens after a make that form the model ("IPS 600", "C18 ACERT", "D6-370")
+const ENGINE_MODEL_SOURCE = `(?:(?!${POWER_SOURCE})[A-Z0-9][A-Za-z0-9./-]*)(?:\\s+(?!${POWER_SOURCE})[A-Z0-9][A-Za-z0-9./-]*){0,2}`;
+
+// "Max speed: 32 knots", "cruising speed 25 kn". Groups: label, number, unit.
+const SPEED_REGEX = /\b(max(?:imum)?(?:\s+speed)?|top\s+speed|cruis(?:e|ing)(?:\s+speed)?)\b[^\d\n]{0,15}(\d+(?:[.,]\d+)?)\s*(knots|kn|kts|kt|mph|km\/h|kmh)\b/gi;
+
+const ENGINE_HOURS_REGEX = /\b(?:engine|running|motor)\s*hours?\s*[:\-]?\s*(\d[\d.,]*)|(\d[\d.,]*)\s*(?:engine\s*)?(?:hrs|hours)\b/i;
+
+function engineCountBefore(text) {
+    const match = text.slice(-16).match(/(?:\b([1-6])\s*[x×]|\b(single|twin|triple|quad|two|three|four))\s*$/i);
+    if (!match) return null;
+    return match[1] ? parseInt(match[1]) : COUNT_WORDS[match[2].toLowerCase()];
+}
+
+function readPower(match) {
+    const number = parseNumber(match[1], { locale: pageLocale, kind: 'count' });
+    if (!(number.value > 0)) return null;
+    return Math.round(match[2].toLowerCase() === 'kw' ? number.value * HP_PER_KW : number.value);
+}
+
+// "32", "55 mph", "40 km/h" -> knots (one decimal); null when unreadable
+function speedInKnots(number, unit = 'kn') {
+    const value = parseNumber(number, { locale: pageLocale, kind: 'length' }).value;
+    if (!(value > 0)) return null;
+    unit = unit.toLowerCase();
+    return roundTo(unit === 'mph' ? value * KNOTS_PER_MPH : /^km/.test(unit) ? value * KNOTS_PER_KMH : value, 1);
+}
+
+/**
+ * Engine and speed details in free text: { engine: { make, model, count,
+ * hp, totalHp, fuel, hours, drive }, speed: { max, cruise } }, each key
+ * only when found. hp is per engine, speeds are in knots.
+ */
+function extractEngine(text) {
+    const engine = {};
+    const speed = {};
+
+    for (const [make, source, exact] of ENGINE_MAKES) {
+        const match = text.match(new RegExp(`(?:${source})(?:\\s+(${ENGINE_MODEL_SOURCE}))?`, exact ? '' : 'i'));
+        if (!match) continue;
+        engine.make = make;
+        // Case-insensitive makes let lowercase words ("outboard") into the
+        // model; its tokens are capitalised or hold a digit
+        const tokens = (match[1] || '').split(/\s+/);
+        const end = tokens.findIndex(token => !/^[A-Z]|\d/.test(token));
+        const model = tokens.slice(0, end < 0 ? tokens.length : end).join(' ').replace(/[.,/-]+$/, '');
+        if (/\d/.test(model)) engine.model = model;
+        const count = engineCountBefore(text.slice(0, match.index));
+        if (count) engine.count = count;
+        break;
+    }
+
+    if (!engine.count) {
+        const count = text.match(/\b(?:number of engines|no\.? of engines|engines?\s*(?:count|qty|quantity))\s*[:\-]?\s*([1-6])\b/i) ||
+            text.match(/\b(single|twin|triple|quad|two|three|four)\s+(?:engines?|diesels?|outboards?|inboards?|screws?|motors?)\b/i);
+        if (count) engine.count = /\d/.test(count[1]) ? parseInt(count[1]) : COUNT_WORDS[count[1].toLowerCase()];
+    }
+
+    for (const match of text.matchAll(new RegExp(POWER_SOURCE, 'gi'))) {
+        const hp = readPower(match);
+        if (!hp) continue;
+        const before = text.slice(Math.max(0, match.index - 20), match.index);
+        const count = engineCountBefore(before);
+        if (/\b(?:total|combined)\b[^\d]*$/i.test(before)) {
+            engine.totalHp = hp;
+        } else {
+            engine.hp = hp;
+            if (count && !engine.count) engine.count = count;
+        }
+        break;
+    }
+
+    if (engine.count) {
+        if (engine.hp && !engine.totalHp) engine.totalHp = engine.hp * engine.count;
+        if (engine.totalHp && !engine.hp) engine.hp = Math.round(engine.totalHp / engine.count);
+    }
+
+    const fuel = ENGINE_FUELS.find(([, regex]) => regex.test(text));
+    if (fuel) engine.fuel = fuel[0];
+
+    const drive = ENGINE_DRIVES.find(([, regex]) => regex.test(text));
+    if (drive) engine.drive = drive[0];
+
+    const hours = text.match(ENGINE_HOURS_REGEX);
+    if (hours) {
+        const number = parseNumber(hours[1] || hours[2], { locale: pageLocale, kind: 'count' });
+        if (number.value >= 0) engine.hours = number.value;
+    }
+
+    for (const match of text.matchAll(SPEED_REGEX)) {
+        const field = /^cruis/i.test(match[1]) ? 'cruise' : 'max';
+        const knots = speedInKnots(match[2], match[3]);
+        if (!speed[field] && knots) speed[field] = knots;
+    }
+
+    return { engine, speed };
+}
+
+// Entries of found whose keys existing does not have yet
+function unsetEntries(found, existing = {}) {
+    return Object.fromEntries(Object.entries(found).filter(([key]) => existing[key] === undefined));
+}
+
+/**
+ * Merge extractEngine() output into a yacht
+ */
+function applyEngine(yacht, { engine = {}, speed = {} }) {
+    yacht.engine = { ...yacht.engine, ...engine };
+    yacht.speed = { ...yacht.speed, ...speed };
+    return yacht;
+}
+
+/**
+ * One-line engine summary, e.g. "2 × Volvo Penta IPS 600, 435 hp each, diesel"
+ */
+function formatEngine(engine) {
+    if (!engine) return '';
+    const name = [engine.make, engine.model].filter(Boolean).join(' ');
+    const count = engine.count > 1 ? `${engine.count} × ` : '';
+    return [
+        name ? count + name : (engine.count > 1 ? `${engine.count} engines` : ''),
+        engine.hp ? `${engine.hp} hp${engine.count > 1 ? ' each' : ''}` : '',
+        engine.fuel || '',
+        engine.drive ? ENGINE_DRIVE_LABELS[engine.drive] : ''
+    ].filter(Boolean).join(', ');
+}
+
+// ============================================================================
+// SPEC TABLES
+// ============================================================================
+
+// Spec labels by field in English, French, German, Spanish, Italian, Dutch,
+// Portuguese and Croatian. Compared after normalizeSpecLabel(), so case,
+// accents, colons and "(m)"-style unit hints do not matter.
+const SPEC_LABELS = {
+    year: ['year', 'year built', 'built', 'build year', 'model year', 'année', 'année de construction', 'construction', 'baujahr', 'jahr', 'año', 'año de construcción', 'anno', 'anno di costruzione', 'bouwjaar', 'ano', 'ano de construção', 'godina', 'godina proizvodnje', 'godište'],
+    loa: ['length', 'loa', 'length overall', 'overall length', 'length o.a.', 'longueur', 'longueur hors tout', 'lht', 'länge', 'länge über alles', 'lüa', 'eslora', 'eslora total', 'lunghezza', 'lunghezza fuori tutto', 'lft', 'lengte', 'lengte over alles', 'comprimento', 'duljina', 'duljina preko svega', 'dužina'],
+    lwl: ['lwl', 'waterline length', 'length waterline', 'longueur de flottaison', 'wasserlinienlänge', 'eslora de flotación', 'lunghezza al galleggiamento', 'waterlijnlengte', 'duljina vodne linije'],
+    beam: ['beam', 'width', 'max beam', 'largeur', 'bau', 'breite', 'manga', 'larghezza', 'baglio', 'breedte', 'boca', 'širina'],
+    draft: ['draft', 'draught', 'max draft', "tirant d'eau", 'tiefgang', 'calado', 'pescaggio', 'diepgang', 'gaz'],
+    airDraft: ['air draft', 'air draught', 'bridge clearance', "tirant d'air", 'durchfahrtshöhe', 'altura sobre el agua', 'altezza di costruzione', 'doorvaarthoogte', 'visina iznad vode'],
+    displacement: ['displacement', 'weight', 'dry weight', 'déplacement', 'poids', 'verdrängung', 'gewicht', 'desplazamiento', 'peso', 'dislocamento', 'waterverplaatsing', 'deslocamento', 'istisnina', 'težina'],
+    make: ['make', 'manufacturer', 'builder', 'brand', 'shipyard', 'yard', 'constructeur', 'chantier', 'marque', 'hersteller', 'werft', 'marke', 'fabricante', 'astillero', 'marca', 'cantiere', 'costruttore', 'werf', 'merk', 'estaleiro', 'proizvođač', 'brodogradilište'],
+    model: ['model', 'modèle', 'modell', 'modelo', 'modello'],
+    type: ['type', 'boat type', 'vessel type', 'category', 'type de bateau', 'catégorie', 'typ', 'bootstyp', 'kategorie', 'tipo', 'tipo de barco', 'tipo di barca', 'categoria', 'soort', 'tip', 'vrsta', 'tip plovila'],
+    location: ['location', 'lying', 'located', 'berth', 'boat location', 'emplacement', 'localisation', 'lieu', 'liegeplatz', 'standort', 'ubicación', 'localización', 'ubicazione', 'posizione', 'ligplaats', 'locatie', 'localização', 'lokacija', 'lučka lokacija'],
+    price: ['price', 'asking price', 'prix', 'preis', 'precio', 'prezzo', 'prijs', 'preço', 'cijena'],
+    engine: ['engine', 'engines', 'main engine', 'main engines', 'engine make', 'moteur', 'moteurs', 'motorisation', 'motor', 'motoren', 'motorisierung', 'motores', 'motorización', 'motore', 'motori', 'motorizzazione', 'motorizaçāo', 'motorização'],
+    engineCount: ['number of engines', 'no of engines', 'engine count', 'nombre de moteurs', 'anzahl motoren', 'número de motores', 'numero motori', 'aantal motoren', 'broj motora'],
+    hp: ['horsepower', 'power', 'engine power', 'hp', 'puissance', 'leistung', 'motorleistung', 'potencia', 'potenza', 'vermogen', 'potência', 'snaga', 'snaga motora'],
+    engineHours: ['engine hours', 'hours', 'running hours', 'heures moteur', "heures d'utilisation", 'motorstunden', 'betriebsstunden', 'horas de motor', 'horas', 'ore motore', 'draaiuren', 'motoruren', 'radni sati', 'sati motora'],
+    fuel: ['fuel', 'fuel type', 'carburant', 'kraftstoff', 'treibstoff', 'combustible', 'carburante', 'brandstof', 'combustível', 'gorivo', 'vrsta goriva'],
+    maxSpeed: ['max speed', 'maximum speed', 'top speed', 'vitesse max', 'vitesse maximale', 'höchstgeschwindigkeit', 'velocidad máxima', 'velocità massima', 'topsnelheid', 'velocidade máxima', 'maksimalna brzina'],
+    cruiseSpeed: ['cruising speed', 'cruise speed', 'vitesse de croisière', 'reisegeschwindigkeit', 'velocidad de crucero', 'velocità di crociera', 'kruissnelheid', 'velocidade de cruzeiro', 'brzina krstarenja']
+};
+
+const SPEC_LABEL_FIELDS = new Map(Object.entries(SPEC_LABELS)
+    .flatMap(([field, labels]) => labels.map(label => [normalizeSpecLabel(label), field])));
+
+// Confidence for a value read from a labelled row, against
+// FREE_TEXT_CONFIDENCE for the free-text fallbacks
+const SPEC_TABLE_CONFIDENCE = 85;
+
+// Unit hints in a label: "Length (m)", "Beam [ft]", "Weight in kg"
+const SPEC_UNIT_HINT = /[([]\s*(m|ft|feet|meters?|metres?|kg|lbs?|t)\s*[)\]]|\bin (m|ft|feet|meters?|metres?|kg|lbs?)\b/i;
+const SPEC_UNIT_ALIASES = { feet: 'ft', meter: 'm', meters: 'm', metre: 'm', metres: 'm', lbs: 'lb' };
+
+const SPEC_LENGTH_FIELDS = ['loa', 'lwl', 'beam', 'draft', 'airDraft'];
+
+// Lowercase, no accents, no punctuation or bracketed unit hints
+function normalizeSpecLabel(label) {
+    return label.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[’`]/g, "'")
+        .replace(/[([][^)\]]*[)\]]/g, ' ')
+        .replace(/\bin (?:m|ft|feet|meters?|metres?|kg|lbs?)\b/g, ' ')
+        .replace(/[^a-z0-9' ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// "Label: value" as the whole text of an element (full-width colon too)
+const SPEC_ROW_TEXT = /^([^:：]{1,50}?)\s*[:：]\s*(.+)$/;
+
+/**
+ * Label/value rows from spec tables (th/td or td/td cells, two pairs per
+ * row allowed), definition lists, label/value elements such as
+ * <li><strong>Beam:</strong> 4.2 m</li> and plain <li>Beam: 4.2 m</li>
+ * text. Returns [{ label, value }] with
+ * raw text; rows are not matched against SPEC_LABELS here.
+ */
+function extractSpecRows(root) {
+    const rows = [];
+    const add = (label, value) => {
+        label = cleanText(label);
+        value = cleanText(value);
+        if (label && value && label.length <= 50 && value.length <= 200) rows.push({ label, value });
+    };
+
+    root.querySelectorAll('tr').forEach(tr => {
+        const cells = Array.from(tr.children).filter(cell => /^T[HD]$/.test(cell.tagName));
+        for (let i = 0; i + 1 < cells.length && i < 4; i += 2) add(cells[i].textContent, cells[i + 1].textContent);
+    });
+
+    root.querySelectorAll('dt').forEach(dt => {
+        const dd = dt.nextElementSibling;
+        if (dd && dd.tagName === 'DD') add(dt.textContent, dd.textContent);
+    });
+
+    root.querySelectorAll('li, p, div, span').forEach(el => {
+        if (el.closest('table, dl')) return;
+
+        // Plain "Year: 2011" text with no element around the label
+        if (el.childElementCount === 0) {
+            const row = cleanText(el.textContent).match(SPEC_ROW_TEXT);
+            if (row) add(row[1], row[2]);
+            return;
+        }
+
+        const label = el.firstElementChild;
+        if (el.childElementCount > 3) return;
+        const labelText = label.textContent;
+        if (labelText.length > 50) return;
+        const text = el.textContent;
+        if (text.length > 250) return;
+        add(labelText, text.slice(text.indexOf(labelText) + labelText.length));
+    });
+
+    return rows;
+}
+
+/**
+ * Apply rows whose label is in SPEC_LABELS to the yacht; the first row
+ * for each field wins. Returns the yacht fields that were set ('engine'
+ * and 'speed' for the engine rows).
+ */
+function applySpecRows(yacht, rows) {
+    const seen = new Set();
+    const applied = new Set();
+    const note = field => noteField(yacht, field, SPEC_TABLE_CONFIDENCE, 'spec-table');
+
+    for (const { label, value } of rows) {
+        const field = SPEC_LABEL_FIELDS.get(normalizeSpecLabel(label));
+        if (!field || seen.has(field)) continue;
+
+        const hint = ((label.match(SPEC_UNIT_HINT) || []).slice(1).find(Boolean) || '').toLowerCase();
+        const unit = SPEC_UNIT_ALIASES[hint] || hint;
+        const number = kind => parseNumber(value.replace(/[^\d.,\s'’]/g, '').trim(), { locale: pageLocale, kind }).value;
+
+        if (field === 'year') {
+            const year = value.match(/\b(19\d\d|20\d\d)\b/);
+            if (!year || parseInt(year[1]) < 1950 || parseInt(year[1]) > new Date().getFullYear() + 1) continue;
+            yacht.year = year[1];
+            applied.add('year');
+            note('year');
+        } else if (SPEC_LENGTH_FIELDS.includes(field)) {
+            const length = parseLength(value, { defaultUnit: unit === 'm' ? 'm' : 'ft' });
+            if (!length || length.m > 200) continue;
+            applyDimensions(yacht, { [field]: length });
+            applied.add(field === 'loa' ? 'length' : 'dimensions');
+            if (field === 'loa') note('length');
+        } else if (field === 'displacement') {
+            const weight = unit === 't' && /^[\d.,\s]+$/.test(value)
+                ? parseWeight(`${value} t`)
+                : parseWeight(value, { defaultUnit: unit === 'lb' ? 'lb' : 'kg' });
+            if (!weight) continue;
+            applyDimensions(yacht, { displacement: weight });
+            applied.add('dimensions');
+        } else if (field === 'price') {
+            if (yacht.price) continue;
+            const parsed = classifyPrice(value, { isField: true });
+            if (!parsed.raw && !parsed.status) continue;
+            applyPrice(yacht, parsed, SPEC_TABLE_CONFIDENCE, 'spec-table');
+            applied.add('price');
+        } else if (field === 'type') {
+            const type = normalizeType(value);
+            if (!type) continue;
+            yacht.type = type;
+            applied.add('type');
+            note('type');
+        } else if (field === 'location') {
+            applyLocation(yacht, value);
+            applied.add(field);
+            note('location');
+        } else if (field === 'make' || field === 'model') {
+            yacht[field] = value;
+            applied.add(field);
+            note(field);
+        } else if (field === 'engine' || field === 'hp') {
+            const { engine } = extractEngine(value);
+            if (field === 'hp' && !engine.hp && number('count') > 0) engine.hp = Math.round(number('count'));
+            if (field === 'engine' && !engine.make && !/\d/.test(value)) engine.make = value;
+            if (Object.keys(engine).length === 0) continue;
+            applyEngine(yacht, { engine });
+            applied.add('engine');
+        } else if (field === 'engineCount' || field === 'engineHours') {
+            const count = number('count');
+            if (!Number.isFinite(count)) continue;
+            applyEngine(yacht, { engine: { [field === 'engineCount' ? 'count' : 'hours']: count } });
+            applied.add('engine');
+        } else if (field === 'fuel') {
+            const fuel = classifyFuel(value);
+            if (!fuel) continue;
+            applyEngine(yacht, { engine: { fuel } });
+            applied.add('engine');
+        } else if (field === 'maxSpeed' || field === 'cruiseSpeed') {
+            const speed = value.match(/(\d+(?:[.,]\d+)?)\s*(knots|kn|kts|kt|mph|km\/h|kmh|nœuds|noeuds|knoten|nudos|nodi)?/i);
+            const knots = speed && speedInKnots(speed[1], /^(?:mph|km)/i.test(speed[2] || '') ? speed[2] : 'kn');
+            if (!knots) continue;
+            applyEngine(yacht, { speed: { [field === 'maxSpeed' ? 'max' : 'cruise']: knots } });
+            applied.add('speed');
+        }
+        seen.add(field);
+    }
+
+    const engine = yacht.engine || {};
+    if (engine.count && engine.hp && !engine.totalHp) engine.totalHp = engine.count * engine.hp;
+    return applied;
+}
+
+// ============================================================================
+// VESSEL TYPES
+// ============================================================================
+
+/**
+ * Vessel type taxonomy shared by the parser, the import edit modal and the
+ * homepage search. yacht.type holds the most specific id known ('trawler',
+ * or just 'motor'); a filter on a parent type matches its children.
+ */
+const VESSEL_TYPES = [
+    { id: 'motor', label: 'Motor Yacht', children: [
+        { id: 'express', label: 'Express Cruiser' },
+        { id: 'flybridge', label: 'Flybridge' },
+        { id: 'trawler', label: 'Trawler' },
+        { id: 'sportfish', label: 'Sportfisher' },
+        { id: 'rib', label: 'RIB' },
+        { id: 'center-console', label: 'Center Console' }
+    ] },
+    { id: 'sail', label: 'Sailing Yacht', children: [
+        { id: 'sloop', label: 'Sloop' },
+        { id: 'ketch', label: 'Ketch' },
+        { id: 'cutter', label: 'Cutter' },
+        { id: 'gulet', label: 'Gulet' }
+    ] },
+    { id: 'multihull', label: 'Multihull', children: [
+        { id: 'power-cat', label: 'Power Catamaran' },
+        { id: 'sail-cat', label: 'Sailing Catamaran' },
+        { id: 'trimaran', label: 'Trimaran' }
+    ] },
+    { id: 'superyacht', label: 'Superyacht', children: [
+        { id: 'motor-superyacht', label: 'Motor Superyacht' },
+        { id: 'sail-superyacht', label: 'Sailing Superyacht' }
+    ] }
+];
+
+// id -> { id, label, parent }; parent is '' for the top level
+const VESSEL_TYPE_INDEX = new Map(VESSEL_TYPES.flatMap(group => [
+    [group.id, { id: group.id, label: group.label, parent: '' }],
+    ...group.children.map(child => [child.id, { ...child, parent: group.id }])
+]));
+
+// Ids from before the taxonomy ('catamaran') and common spellings of ours
+const VESSEL_TYPE_ALIASES = {
+    catamaran: 'multihull', power: 'motor', sailing: 'sail', 'sport-fish': 'sportfish',
+    'centre-console': 'center-console', 'power-catamaran': 'power-cat', 'sailing-catamaran': 'sail-cat'
+};
+
+// Keywords in free text and the type they indicate, first match wins. The
+// specific types come first; RIB is last because tenders are usually RIBs.
+const TYPE_KEYWORDS = Object.entries({
+    'power catamaran': 'power-cat', 'power cat': 'power-cat', 'powercat': 'power-cat', 'motor catamaran': 'power-cat',
+    'sailing catamaran': 'sail-cat', 'sail catamaran': 'sail-cat', 'trimaran': 'trimaran',
+    'catamaran': 'multihull', 'multihull': 'multihull',
+    'sailing superyacht': 'sail-superyacht', 'motor superyacht': 'motor-superyacht',
+    'superyacht': 'superyacht', 'megayacht': 'superyacht', 'mega yacht': 'superyacht',
+    'gulet': 'gulet', 'ketch': 'ketch', 'cutter': 'cutter', 'sloop': 'sloop',
+    'trawler': 'trawler', 'sportfisherman': 'sportfish', 'sportfisher': 'sportfish', 'sportfish': 'sportfish', 'sport fish': 'sportfish',
+    'center console': 'center-console', 'centre console': 'center-console',
+    'express cruiser': 'express', 'sports cruiser': 'express', 'flybridge': 'flybridge', 'fly bridge': 'flybridge',
+    'motor yacht': 'motor', 'motoryacht': 'motor', 'power boat': 'motor', 'sedan': 'motor',
+    'sailing yacht': 'sail', 'sailboat': 'sail', 'sailing boat': 'sail',
+    'rigid inflatable': 'rib', 'rib': 'rib'
+}).map(([keyword, type]) => [new RegExp(`\\b${keyword}s?\\b`, 'i'), type]);
+
+// Short spec-table values ("Sail", "Voilier", "Motorboot") and their types
+const TYPE_VALUES = {
+    motor: 'motor', power: 'motor', 'motor boat': 'motor', motorboat: 'motor', 'bateau a moteur': 'motor', vedette: 'motor',
+    motorboot: 'motor', 'yate a motor': 'motor', 'barca a motore': 'motor', motorjacht: 'motor',
+    sail: 'sail', sailing: 'sail', voilier: 'sail', segelyacht: 'sail', segelboot: 'sail', velero: 'sail',
+    'barca a vela': 'sail', zeiljacht: 'sail', veleiro: 'sail',
+    katamaran: 'multihull', multicoque: 'multihull', multiscafo: 'multihull',
+    'catamaran a voile': 'sail-cat', segelkatamaran: 'sail-cat', 'catamaran a moteur': 'power-cat', motorkatamaran: 'power-cat',
+    semirigide: 'rib', 'semi-rigide': 'rib', schlauchboot: 'rib', gommone: 'rib', 'neumatica': 'rib', 'semirrigida': 'rib',
+    jedrilica: 'sail', 'motorni brod': 'motor', 'motorna jahta': 'motor', gumenjak: 'rib'
+};
+
+/**
+ * The most specific vessel type described by text, or ''.
+ */
+function classifyType(text) {
+    const keyword = TYPE_KEYWORDS.find(([regex]) => regex.test(text));
+    if (keyword) return keyword[1];
+    return TYPE_VALUES[normalizeSpecLabel(text)] || '';
+}
+
+/**
+ * A taxonomy id for a stored or scraped type: ids and aliases as they are,
+ * anything else classified as text. Returns '' when nothing matches.
+ */
+function normalizeType(value) {
+    const key = cleanText(String(value || '')).toLowerCase().replace(/[\s_]+/g, '-');
+    if (!key) return '';
+    if (VESSEL_TYPE_INDEX.has(key)) return key;
+    return VESSEL_TYPE_ALIASES[key] || classifyType(value);
+}
+
+// Top-level type of a type id ('trawler' -> 'motor', 'motor' -> 'motor')
+function typeParent(type) {
+    const entry = VESSEL_TYPE_INDEX.get(normalizeType(type));
+    return entry ? entry.parent || entry.id : '';
+}
+
+function typeLabel(type) {
+    const entry = VESSEL_TYPE_INDEX.get(normalizeType(type));
+    return entry ? entry.label : '';
+}
+
+/**
+ * Whether a yacht of this type passes a type filter; an empty filter
+ * passes everything and a parent filter passes its children.
+ */
+function typeMatches(type, filter) {
+    if (!filter) return true;
+    const id = normalizeType(type);
+    return id !== '' && (id === filter || typeParent(id) === filter);
+}
+
+/**
+ * The taxonomy flattened for a <select>: [{ value, label, depth }], each
+ * parent followed by its children at depth 1.
+ */
+function typeOptions() {
+    return VESSEL_TYPES.flatMap(group => [
+        { value: group.id, label: group.label, depth: 0 },
+        ...group.children.map(child => ({ value: child.id, label: child.label, depth: 1 }))
+    ]);
+}
+
+// Confidence of a type given by length alone
+const LENGTH_TYPE_CONFIDENCE = 60;
+
+/**
+ * Superyachts by length: a motor or sailing yacht whose LOA reaches
+ * CONFIG.SUPERYACHT_MIN_LENGTH_FT becomes a motor or sailing superyacht,
+ * an untyped one a superyacht. Multihulls keep their type. Returns whether
+ * the type changed.
+ */
+function applyTypeByLength(yacht) {
+    const loa = yacht.dimensions.loa;
+    if (!loa || loa.ft < CONFIG.SUPERYACHT_MIN_LENGTH_FT) return false;
+
+    const parent = typeParent(yacht.type);
+    const type = parent === 'motor' ? 'motor-superyacht'
+        : parent === 'sail' ? 'sail-superyacht'
+        : yacht.type ? '' : 'superyacht';
+    if (!type) return false;
+    const refines = !!yacht.type;
+    yacht.type = type;
+    // A refined 'motor' keeps the confidence of the type it refines
+    if (!refines) noteField(yacht, 'type', LENGTH_TYPE_CONFIDENCE, 'length');
+    return true;
+}
+
+// ============================================================================
+// BUILDER CATALOGUE
+// ============================================================================
+
+/**
+ * Yacht builders and their model lines, used to split titles into
+ * year / make / model and to infer type and length. Extend at runtime
+ * with registerBuilder().
+ *
+ * Entry shape:
+ *   name      Canonical make, stored as yacht.make
+ *   aliases   Other spellings matched in titles (name itself always is)
+ *   type      Default yacht.type for the builder's boats
+ *   length    How the number in a model name encodes length:
+ *               'feet' (default) "Manhattan 68" -> 68 ft
+ *               'decifeet'       "Sun Odyssey 490" -> 49 ft (two digits stay feet)
+ *               'metres'         "Antares 9" -> 9 m
+ *               'decimetres'     "Merry Fisher 795" -> 7.95 m
+ *               null             model numbers are not lengths
+ *             A number written with "m" / "metri" is always metres.
+ *             Three-digit codes are tenths of feet for most production
+ *             builders ("Lagoon 450", "Hallberg-Rassy 372"); keep 'feet'
+ *             only where they are real lengths ("Sunseeker 116 Yacht").
+ *             Leave out a rule only after checking the builder's range.
+ *   lines     [{ name, aliases, type, length }] - model lines, overriding
+ *             the builder's type and length
+ */
+const BUILDER_CATALOGUE = [
+    // Motor yachts
+    { name: 'Sunseeker', type: 'motor', lines: [{ name: 'Manhattan', type: 'flybridge' }, { name: 'Predator', type: 'express' }, { name: 'Superhawk', type: 'express' }, { name: 'Portofino', type: 'express' }, { name: 'Yacht' }] },
+    { name: 'Azimut', aliases: ['azimut yachts'], type: 'motor', lines: [{ name: 'Grande', length: 'metres' }, { name: 'Magellano' }, { name: 'Flybridge', type: 'flybridge' }, { name: 'Atlantis', type: 'express' }, { name: 'S', length: null }, { name: 'Verve' }] },
+    { name: 'Princess', aliases: ['princess yachts'], type: 'motor', length: 'decifeet', lines: [{ name: 'V', type: 'express' }, { name: 'F', type: 'flybridge' }, { name: 'S' }, { name: 'Y' }, { name: 'X' }] },
+    { name: 'Ferretti', aliases: ['ferretti yachts'], type: 'motor', length: 'decifeet' },
+    { name: 'Fairline', type: 'motor', lines: [{ name: 'Targa', type: 'express' }, { name: 'Squadron', type: 'flybridge' }, { name: 'Phantom' }, { name: 'F-Line' }] },
+    { name: 'Sealine', type: 'motor', length: 'decifeet' },
+    { name: 'Prestige', aliases: ['prestige yachts'], type: 'motor', length: 'decifeet' },
+    { name: 'Galeon', type: 'motor', length: 'decifeet' },
+    { name: 'Absolute', aliases: ['absolute yachts'], type: 'motor', lines: [{ name: 'Navetta' }] },
+    { name: 'Riva', type: 'motor' },
+    { name: 'Pershing', type: 'motor' },
+    { name: 'Sanlorenzo', aliases: ['san lorenzo'], type: 'motor' },
+    { name: 'Cranchi', type: 'motor' },
+    { name: 'Sea Ray', aliases: ['searay'], type: 'motor', length: 'decifeet', lines: [{ name: 'Sundancer', type: 'express' }, { name: 'SLX' }, { name: 'SPX' }] },
+    { name: 'Boston Whaler', type: 'center-console', length: 'decifeet', lines: [{ name: 'Outrage' }, { name: 'Vantage' }, { name: 'Conquest' }] },
+    { name: 'Grady-White', aliases: ['grady white'], type: 'center-console', length: 'decifeet' },
+    { name: 'Chris-Craft', aliases: ['chris craft'], type: 'motor', lines: [{ name: 'Launch' }, { name: 'Corsair' }, { name: 'Catalina' }, { name: 'Calypso' }] },
+    { name: 'Grand Banks', type: 'trawler', lines: [{ name: 'Eastbay' }, { name: 'Heritage' }, { name: 'Aleutian' }] },
+    { name: 'Nordhavn', type: 'trawler' },
+    { name: 'Axopar', type: 'motor' },
+    { name: 'Viking', aliases: ['viking yachts'], type: 'sportfish' },
+    { name: 'Bertram', type: 'sportfish' },
+    { name: 'Hatteras', type: 'sportfish', lines: [{ name: 'Motor Yacht', type: 'motor' }] },
+    { name: 'Cabo', aliases: ['cabo yachts'], type: 'sportfish' },
+    { name: 'Williams', aliases: ['williams jet tenders'], type: 'rib', length: 'decimetres' },
+    { name: 'Zodiac', type: 'rib', length: null },
+    { name: 'Highfield', type: 'rib', length: 'decimetres' },
+    { name: 'Bavaria', aliases: ['bavaria yachts'], type: 'sail', length: 'decifeet', lines: [{ name: 'Cruiser' }, { name: 'Vision' }, { name: 'C' }, { name: 'Sport', type: 'motor' }, { name: 'Virtess', type: 'motor' }, { name: 'R', type: 'motor' }] },
+    { name: 'Beneteau', aliases: ['bénéteau'], type: 'sail', length: 'decifeet', lines: [
+        { name: 'Oceanis' }, { name: 'First' }, { name: 'Figaro' },
+        { name: 'Antares', type: 'motor', length: 'metres' }, { name: 'Flyer', type: 'motor', length: 'metres' },
+        { name: 'Swift Trawler', type: 'trawler' }, { name: 'Gran Turismo', type: 'express' }, { name: 'Monte Carlo', type: 'motor' }
+    ] },
+    { name: 'Jeanneau', type: 'sail', length: 'decifeet', lines: [
+        { name: 'Sun Odyssey' }, { name: 'Sun Fast' }, { name: 'Jeanneau Yachts' },
+        { name: 'Leader', type: 'motor' }, { name: 'NC', type: 'motor' },
+        { name: 'Merry Fisher', type: 'motor', length: 'decimetres' }, { name: 'Cap Camarat', type: 'motor', length: 'metres' }
+    ] },
+
+    // Sailing yachts
+    { name: 'Dufour', type: 'sail', length: 'decifeet' },
+    { name: 'Hanse', type: 'sail', length: 'decifeet' },
+    { name: 'Hallberg-Rassy', aliases: ['hallberg rassy'], type: 'sail', length: 'decifeet' },
+    { name: 'Oyster', type: 'sail', length: 'decifeet' },
+    { name: "Nautor's Swan", aliases: ['nautor swan', 'swan', 'clubswan'], type: 'sail' },
+    { name: 'X-Yachts', aliases: ['x yachts'], type: 'sail', length: 'decifeet' },
+    { name: 'Moody', type: 'sail', length: 'decifeet' },
+    { name: 'Dehler', type: 'sail', length: 'decifeet' },
+    { name: 'Elan', type: 'sail', length: 'decifeet' },
+    { name: 'Catalina', aliases: ['catalina yachts'], type: 'sail', length: 'decifeet' },
+    { name: 'Hunter', type: 'sail', length: 'decifeet' },
+
+    // Multihulls
+    { name: 'Lagoon', type: 'sail-cat', length: 'decifeet' },
+    { name: 'Fountaine Pajot', aliases: ['fountaine-pajot'], type: 'sail-cat', lines: [{ name: 'Elba' }, { name: 'Saona' }, { name: 'Lucia' }, { name: 'Isla' }, { name: 'Astrea' }, { name: 'Tanna' }, { name: 'Samana' }, { name: 'Aura' }, { name: 'MY', type: 'power-cat' }] },
+    { name: 'Leopard', aliases: ['leopard catamarans'], type: 'sail-cat', length: 'decifeet' },
+    { name: 'Bali', aliases: ['bali catamarans'], type: 'sail-cat', length: null },
+    { name: 'Nautitech', type: 'sail-cat', length: 'decifeet' },
+    { name: 'Excess', aliases: ['excess catamarans'], type: 'sail-cat', length: 'metres' },
+    { name: 'Catana', type: 'sail-cat', length: 'decifeet' },
+    { name: 'Outremer', type: 'sail-cat' },
+    { name: 'Privilege', aliases: ['privilège'], type: 'sail-cat', length: 'decifeet' },
+    { name: 'Aquila', type: 'power-cat' },
+    { name: 'Neel', aliases: ['neel trimarans'], type: 'trimaran' },
+    { name: 'Dragonfly', type: 'trimaran' },
+
+    // Superyacht yards
+    { name: 'Benetti', type: 'motor-superyacht' },
+    { name: 'Feadship', type: 'motor-superyacht' },
+    { name: 'Heesen', type: 'motor-superyacht' },
+    { name: 'Lürssen', aliases: ['lurssen', 'luerssen'], type: 'motor-superyacht' },
+    { name: 'Amels', type: 'motor-superyacht' },
+    { name: 'Oceanco', type: 'motor-superyacht' },
+    { name: 'CRN', type: 'motor-superyacht' },
+    { name: 'Perini Navi', type: 'sail-superyacht' }
+];
+
+// Title text after the model: " - Monaco", " | £95,000", " for sale", "(2019)"
+const MODEL_END = new RegExp(`\\s+[-–|•·,]\\s|\\s*[(|•·,]|\\s+(?:${termsSource(allLanguageTerms('forSale'))}|in|at|located|lying|with)(?!\\p{L})`, 'iu');
+
+// Built from BUILDER_CATALOGUE on first use, reset by registerBuilder()
+let builderMatchers = null;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Names and aliases as word-bounded patterns; "-" and " " are interchangeable
+function namePattern(names) {
+    return names
+        .map(name => escapeRegex(name).replace(/-|\s+/g, '[\\s-]+'))
+        .sort((a, b) => b.length - a.length)
+        .join('|');
+}
+
+function getBuilderMatchers() {
+    if (!builderMatchers) {
+        builderMatchers = BUILDER_CATALOGUE
+            .map(builder => ({
+                builder,
+                pattern: namePattern([builder.name, ...(builder.aliases || [])]),
+                lines: (builder.lines || [])
+                    .map(line => ({ line, regex: new RegExp(`^(?:${namePattern([line.name, ...(line.aliases || [])])})(?=$|[\\s\\d-])`, 'i') }))
+                    .sort((a, b) => b.line.name.length - a.line.name.length)
+            }))
+            .sort((a, b) => b.pattern.length - a.pattern.length)
+            .map(matcher => ({ ...matcher, regex: new RegExp(`(?:^|[^\\p{L}\\d])(${matcher.pattern})(?=$|[^\\p{L}])`, 'iu') }));
+    }
+    return builderMatchers;
+}
+
+/**
+ * Add or replace (by name) a BUILDER_CATALOGUE entry
+ */
+function registerBuilder(entry) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new Error('Invalid builder entry: name is required');
+    }
+    const existing = BUILDER_CATALOGUE.findIndex(builder => builder.name.toLowerCase() === entry.name.toLowerCase());
+    if (existing >= 0) {
+        BUILDER_CATALOGUE[existing] = entry;
+    } else {
+        BUILDER_CATALOGUE.push(entry);
+    }
+    builderMatchers = null;
+    log('Registered builder:', entry.name);
+    return entry;
+}
+
+// Length encoded in a model name under a BUILDER_CATALOGUE length rule
+function modelLength(model, rule) {
+    const metric = model.match(/\b(\d{1,3}(?:[.,]\d)?)\s*(?:m|metri|metres?|meters?)\b/i);
+    if (metric) return parseLength(`${metric[1]} m`);
+    if (rule === null) return null;
+
+    const number = model.match(/(?:^|[^\d.])(\d{1,4})(?:\.\d+)?(?![\d])/);
+    if (!number) return null;
+    const digits = number[1];
+    const value = parseInt(digits);
+
+    switch (rule) {
+        case 'metres': return makeLength(value, 'm', model);
+        case 'decimetres': return digits.length >= 3 ? makeLength(value / 100, 'm', model) : makeLength(value / 10, 'm', model);
+        case 'decifeet': return makeLength(digits.length >= 3 ? value / 10 : value, 'ft', model);
+        default: return makeLength(value, 'ft', model);
+    }
+}
+
+/**
+ * Split a listing title into { year, make, model, line, type, length }
+ * using BUILDER_CATALOGUE: "2023 Sunseeker Manhattan 68" -> 2023,
+ * Sunseeker, "Manhattan 68", motor, 68 ft. Fields are empty (length null)
+ * when the title does not name a known builder; year is read either way.
+ */
+function parseYachtTitle(title) {
+    title = cleanText(title || '');
+    const result = { year: '', make: '', model: '', line: '', type: '', length: null };
+
+    const year = title.match(/^(19[5-9]\d|20[0-2]\d)\b/) || title.match(/[(\s](19[5-9]\d|20[0-2]\d)\)?$/);
+    if (year) result.year = year[1];
+
+    for (const { builder, lines, regex } of getBuilderMatchers()) {
+        const match = title.match(regex);
+        if (!match) continue;
+
+        const rest = title.slice(match.index + match[0].length).trim()
+            .replace(/^(?:19[5-9]\d|20[0-2]\d)\b\s*/, '');
+        const model = cleanText(rest.split(MODEL_END)[0]).split(' ').slice(0, 4).join(' ')
+            .replace(/\s+(?:19[5-9]\d|20[0-2]\d)$/, '');
+        const line = lines.find(candidate => candidate.regex.test(model));
+        const rule = line && 'length' in line.line ? line.line.length
+            : 'length' in builder ? builder.length : 'feet';
+
+        result.make = builder.name;
+        result.model = model;
+        result.line = line ? line.line.name : '';
+        result.type = (line && line.line.type) || builder.type || '';
+
+        const length = model ? modelLength(model, rule) : null;
+        if (length && length.ft >= CONFIG.MIN_YACHT_LENGTH_FT && length.ft <= CONFIG.MAX_YACHT_LENGTH_FT) {
+            result.length = length;
+        }
+        break;
+    }
+
+    return result;
+}
+
+// Confidence of a value read from the title
+const TITLE_FIELD_CONFIDENCE = 65;
+
+/**
+ * Fill a yacht's missing year, make, model, type and length from its title,
+ * and give a make that is in the catalogue its canonical spelling.
+ * Returns the fields that were filled.
+ */
+function applyTitleDetails(yacht) {
+    const parsed = parseYachtTitle(yacht.title);
+    const filled = [];
+
+    if (yacht.make) {
+        const known = parseYachtTitle(yacht.make).make;
+        if (known) yacht.make = known;
+    }
+
+    ['year', 'make', 'model', 'type'].forEach(field => {
+        if (yacht[field] || !parsed[field]) return;
+        yacht[field] = parsed[field];
+        filled.push(field);
+    });
+
+    // A bare 'motor' gives way to the title's 'express', 'trawler', ...
+    if (parsed.type && parsed.type !== yacht.type && typeParent(parsed.type) === yacht.type) {
+        yacht.type = parsed.type;
+        filled.push('type');
+    }
+
+    if (parsed.length && !yacht.length && !yacht.dimensions.loa) {
+        applyDimensions(yacht, { loa: parsed.length });
+        filled.push('length');
+    }
+
+    filled.forEach(field => noteField(yacht, field, TITLE_FIELD_CONFIDENCE, 'title'));
+    return filled;
+}
+
+// ============================================================================
+// LOCATIONS
+// ============================================================================
+
+// Countries by ISO 3166 code; lat/lon is a rough centre for distance search
+const COUNTRIES = {
+    GB: { name: 'United Kingdom', aliases: ['uk', 'gb', 'great britain', 'britain'], lat: 54.0, lon: -2.0 },
+    IE: { name: 'Ireland', aliases: ['eire'], lat: 53.4, lon: -8.2 },
+    US: { name: 'United States', aliases: ['usa', 'us', 'united states of america', 'u s a'], lat: 39.8, lon: -98.6 },
+    CA: { name: 'Canada', lat: 56.1, lon: -106.3 },
+    MX: { name: 'Mexico', aliases: ['méxico'], lat: 23.6, lon: -102.6 },
+    FR: { name: 'France', lat: 46.2, lon: 2.2 },
+    MC: { name: 'Monaco', lat: 43.74, lon: 7.42 },
+    ES: { name: 'Spain', aliases: ['españa', 'espagne', 'spanien'], lat: 40.5, lon: -3.7 },
+    PT: { name: 'Portugal', lat: 39.4, lon: -8.2 },
+    IT: { name: 'Italy', aliases: ['italia', 'italie', 'italien'], lat: 41.9, lon: 12.6 },
+    DE: { name: 'Germany', aliases: ['deutschland', 'allemagne'], lat: 51.2, lon: 10.5 },
+    NL: { name: 'Netherlands', aliases: ['the netherlands', 'holland', 'nederland'], lat: 52.1, lon: 5.3 },
+    BE: { name: 'Belgium', aliases: ['belgique', 'belgië'], lat: 50.5, lon: 4.5 },
+    DK: { name: 'Denmark', aliases: ['danmark'], lat: 56.3, lon: 9.5 },
+    SE: { name: 'Sweden', aliases: ['sverige'], lat: 60.1, lon: 18.6 },
+    NO: { name: 'Norway', aliases: ['norge'], lat: 60.5, lon: 8.5 },
+    GR: { name: 'Greece', aliases: ['hellas', 'grèce', 'griechenland'], lat: 39.1, lon: 21.8 },
+    HR: { name: 'Croatia', aliases: ['hrvatska', 'croatie', 'kroatien'], lat: 45.1, lon: 15.2 },
+    SI: { name: 'Slovenia', aliases: ['slovenija'], lat: 46.2, lon: 15.0 },
+    ME: { name: 'Montenegro', aliases: ['crna gora'], lat: 42.7, lon: 19.4 },
+    MT: { name: 'Malta', lat: 35.9, lon: 14.4 },
+    CY: { name: 'Cyprus', lat: 35.1, lon: 33.4 },
+    TR: { name: 'Turkey', aliases: ['türkiye', 'turquie', 'türkei'], lat: 39.0, lon: 35.2 },
+    AE: { name: 'United Arab Emirates', aliases: ['uae', 'emirates'], lat: 23.4, lon: 53.8 },
+    TH: { name: 'Thailand', lat: 15.9, lon: 100.9 },
+    SG: { name: 'Singapore', lat: 1.35, lon: 103.82 },
+    AU: { name: 'Australia', lat: -25.3, lon: 133.8 },
+    NZ: { name: 'New Zealand', aliases: ['nz'], lat: -40.9, lon: 174.9 },
+    BS: { name: 'Bahamas', aliases: ['the bahamas'], lat: 25.03, lon: -77.4 },
+    VG: { name: 'British Virgin Islands', aliases: ['bvi'], lat: 18.42, lon: -64.64 },
+    VI: { name: 'US Virgin Islands', aliases: ['usvi', 'u s virgin islands'], lat: 18.34, lon: -64.9 },
+    AG: { name: 'Antigua and Barbuda', aliases: ['antigua'], lat: 17.06, lon: -61.8 }
+};
+
+/**
+ * Offline gazetteer of regions, cities / ports and marinas the location
+ * text of a listing is normalized against. Extend at runtime with
+ * registerPlace().
+ *
+ * Entry shape:
+ *   name      Canonical name
+ *   aliases   Other spellings, matched like the name (accents and case are
+ *             ignored; aliases of three letters or fewer, like "FL", only
+ *             match when written in capitals)
+ *   kind      'region', 'city' (default; ports and towns) or 'marina'
+ *   city      For a marina, the city it is in
+ *   region    Region name, for places inside one
+ *   country   Country code in COUNTRIES
+ *   lat, lon  Decimal degrees
+ */
+const GAZETTEER = [
+    // United Kingdom and Ireland
+    { name: 'England', kind: 'region', country: 'GB', lat: 52.36, lon: -1.17 },
+    { name: 'Wales', kind: 'region', country: 'GB', lat: 52.13, lon: -3.78 },
+    { name: 'Scotland', kind: 'region', country: 'GB', lat: 56.49, lon: -4.2 },
+    { name: 'Northern Ireland', kind: 'region', country: 'GB', lat: 54.79, lon: -6.49 },
+    { name: 'Devon', kind: 'region', country: 'GB', lat: 50.72, lon: -3.53 },
+    { name: 'Cornwall', kind: 'region', country: 'GB', lat: 50.27, lon: -5.05 },
+    { name: 'Dorset', kind: 'region', country: 'GB', lat: 50.75, lon: -2.34 },
+    { name: 'Hampshire', aliases: ['hants'], kind: 'region', country: 'GB', lat: 51.06, lon: -1.31 },
+    { name: 'Isle of Wight', aliases: ['iow'], kind: 'region', country: 'GB', lat: 50.69, lon: -1.3 },
+    { name: 'West Sussex', kind: 'region', country: 'GB', lat: 50.93, lon: -0.46 },
+    { name: 'East Sussex', kind: 'region', country: 'GB', lat: 50.91, lon: 0.25 },
+    { name: 'Kent', kind: 'region', country: 'GB', lat: 51.28, lon: 0.52 },
+    { name: 'Essex', kind: 'region', country: 'GB', lat: 51.77, lon: 0.61 },
+    { name: 'Suffolk', kind: 'region', country: 'GB', lat: 52.19, lon: 0.97 },
+    { name: 'Plymouth', region: 'Devon', country: 'GB', lat: 50.37, lon: -4.14 },
+    { name: 'Brixham', region: 'Devon', country: 'GB', lat: 50.39, lon: -3.51 },
+    { name: 'Dartmouth', region: 'Devon', country: 'GB', lat: 50.35, lon: -3.58 },
+    { name: 'Torquay', region: 'Devon', country: 'GB', lat: 50.46, lon: -3.53 },
+    { name: 'Salcombe', region: 'Devon', country: 'GB', lat: 50.24, lon: -3.77 },
+    { name: 'Falmouth', region: 'Cornwall', country: 'GB', lat: 50.15, lon: -5.07 },
+    { name: 'Fowey', region: 'Cornwall', country: 'GB', lat: 50.33, lon: -4.64 },
+    { name: 'Poole', region: 'Dorset', country: 'GB', lat: 50.72, lon: -1.98 },
+    { name: 'Weymouth', region: 'Dorset', country: 'GB', lat: 50.61, lon: -2.45 },
+    { name: 'Lymington', region: 'Hampshire', country: 'GB', lat: 50.76, lon: -1.54 },
+    { name: 'Hamble', aliases: ['hamble-le-rice'], region: 'Hampshire', country: 'GB', lat: 50.86, lon: -1.32 },
+    { name: 'Southampton', region: 'Hampshire', country: 'GB', lat: 50.9, lon: -1.4 },
+    { name: 'Portsmouth', region: 'Hampshire', country: 'GB', lat: 50.8, lon: -1.09 },
+    { name: 'Gosport', region: 'Hampshire', country: 'GB', lat: 50.8, lon: -1.13 },
+    { name: 'Cowes', region: 'Isle of Wight', country: 'GB', lat: 50.76, lon: -1.3 },
+    { name: 'Chichester', region: 'West Sussex', country: 'GB', lat: 50.84, lon: -0.78 },
+    { name: 'Brighton', region: 'East Sussex', country: 'GB', lat: 50.82, lon: -0.14 },
+    { name: 'Ramsgate', region: 'Kent', country: 'GB', lat: 51.33, lon: 1.42 },
+    { name: 'Ipswich', region: 'Suffolk', country: 'GB', lat: 52.06, lon: 1.16 },
+    { name: 'Woodbridge', region: 'Suffolk', country: 'GB', lat: 52.09, lon: 1.32 },
+    { name: 'London', region: 'England', country: 'GB', lat: 51.51, lon: -0.13 },
+    { name: 'Swansea', region: 'Wales', country: 'GB', lat: 51.62, lon: -3.94 },
+    { name: 'Milford Haven', region: 'Wales', country: 'GB', lat: 51.71, lon: -5.04 },
+    { name: 'Pwllheli', region: 'Wales', country: 'GB', lat: 52.89, lon: -4.42 },
+    { name: 'Conwy', region: 'Wales', country: 'GB', lat: 53.28, lon: -3.83 },
+    { name: 'Largs', region: 'Scotland', country: 'GB', lat: 55.79, lon: -4.87 },
+    { name: 'Troon', region: 'Scotland', country: 'GB', lat: 55.54, lon: -4.66 },
+    { name: 'Bangor', region: 'Northern Ireland', country: 'GB', lat: 54.66, lon: -5.67 },
+    { name: 'Mayflower Marina', kind: 'marina', city: 'Plymouth', region: 'Devon', country: 'GB', lat: 50.36, lon: -4.17 },
+    { name: 'Port Hamble Marina', kind: 'marina', city: 'Hamble', region: 'Hampshire', country: 'GB', lat: 50.86, lon: -1.31 },
+    { name: 'Ocean Village Marina', aliases: ['mdl ocean village', 'ocean village'], kind: 'marina', city: 'Southampton', region: 'Hampshire', country: 'GB', lat: 50.89, lon: -1.39 },
+    { name: 'Port Solent', kind: 'marina', city: 'Portsmouth', region: 'Hampshire', country: 'GB', lat: 50.84, lon: -1.1 },
+    { name: 'Berthon Lymington Marina', aliases: ['berthon marina'], kind: 'marina', city: 'Lymington', region: 'Hampshire', country: 'GB', lat: 50.76, lon: -1.53 },
+    { name: 'Cowes Yacht Haven', kind: 'marina', city: 'Cowes', region: 'Isle of Wight', country: 'GB', lat: 50.76, lon: -1.3 },
+    { name: 'Dublin', country: 'IE', lat: 53.35, lon: -6.26 },
+    { name: 'Kinsale', country: 'IE', lat: 51.71, lon: -8.52 },
+    { name: 'Cork', country: 'IE', lat: 51.9, lon: -8.47 },
+
+    // North America and the Caribbean
+    { name: 'Florida', aliases: ['fl'], kind: 'region', country: 'US', lat: 27.99, lon: -81.76 },
+    { name: 'California', aliases: ['ca'], kind: 'region', country: 'US', lat: 36.78, lon: -119.42 },
+    { name: 'Maryland', aliases: ['md'], kind: 'region', country: 'US', lat: 39.05, lon: -76.64 },
+    { name: 'Rhode Island', aliases: ['ri'], kind: 'region', country: 'US', lat: 41.58, lon: -71.48 },
+    { name: 'New York', aliases: ['ny'], kind: 'region', country: 'US', lat: 42.17, lon: -74.95 },
+    { name: 'New Jersey', aliases: ['nj'], kind: 'region', country: 'US', lat: 40.06, lon: -74.41 },
+    { name: 'Massachusetts', aliases: ['ma'], kind: 'region', country: 'US', lat: 42.41, lon: -71.38 },
+    { name: 'Connecticut', aliases: ['ct'], kind: 'region', country: 'US', lat: 41.6, lon: -72.76 },
+    { name: 'Maine', aliases: ['me'], kind: 'region', country: 'US', lat: 45.25, lon: -69.45 },
+    { name: 'Virginia', aliases: ['va'], kind: 'region', country: 'US', lat: 37.43, lon: -78.66 },
+    { name: 'North Carolina', aliases: ['nc'], kind: 'region', country: 'US', lat: 35.76, lon: -79.02 },
+    { name: 'South Carolina', aliases: ['sc'], kind: 'region', country: 'US', lat: 33.84, lon: -81.16 },
+    { name: 'Texas', aliases: ['tx'], kind: 'region', country: 'US', lat: 31.97, lon: -99.9 },
+    { name: 'Washington', aliases: ['wa'], kind: 'region', country: 'US', lat: 47.75, lon: -120.74 },
+    { name: 'Miami', region: 'Florida', country: 'US', lat: 25.76, lon: -80.19 },
+    { name: 'Fort Lauderdale', aliases: ['ft lauderdale'], region: 'Florida', country: 'US', lat: 26.12, lon: -80.14 },
+    { name: 'Palm Beach', aliases: ['west palm beach'], region: 'Florida', country: 'US', lat: 26.71, lon: -80.04 },
+    { name: 'Stuart', region: 'Florida', country: 'US', lat: 27.2, lon: -80.25 },
+    { name: 'Naples', region: 'Florida', country: 'US', lat: 26.14, lon: -81.79 },
+    { name: 'Key West', region: 'Florida', country: 'US', lat: 24.56, lon: -81.78 },
+    { name: 'Tampa', region: 'Florida', country: 'US', lat: 27.95, lon: -82.46 },
+    { name: 'St. Petersburg', aliases: ['st petersburg', 'saint petersburg'], region: 'Florida', country: 'US', lat: 27.77, lon: -82.64 },
+    { name: 'Jacksonville', region: 'Florida', country: 'US', lat: 30.33, lon: -81.66 },
+    { name: 'San Diego', region: 'California', country: 'US', lat: 32.72, lon: -117.16 },
+    { name: 'Newport Beach', region: 'California', country: 'US', lat: 33.62, lon: -117.93 },
+    { name: 'Marina del Rey', region: 'California', country: 'US', lat: 33.98, lon: -118.45 },
+    { name: 'Los Angeles', region: 'California', country: 'US', lat: 34.05, lon: -118.24 },
+    { name: 'San Francisco', region: 'California', country: 'US', lat: 37.77, lon: -122.42 },
+    { name: 'Sausalito', region: 'California', country: 'US', lat: 37.86, lon: -122.49 },
+    { name: 'Annapolis', region: 'Maryland', country: 'US', lat: 38.98, lon: -76.49 },
+    { name: 'Newport', region: 'Rhode Island', country: 'US', lat: 41.49, lon: -71.31 },
+    { name: 'Newport', region: 'Wales', country: 'GB', lat: 51.58, lon: -3.0 },
+    { name: 'New York City', aliases: ['nyc'], region: 'New York', country: 'US', lat: 40.71, lon: -74.01 },
+    { name: 'Mystic', region: 'Connecticut', country: 'US', lat: 41.35, lon: -71.97 },
+    { name: 'Boston', region: 'Massachusetts', country: 'US', lat: 42.36, lon: -71.06 },
+    { name: 'Portland', region: 'Maine', country: 'US', lat: 43.66, lon: -70.26 },
+    { name: 'Norfolk', region: 'Virginia', country: 'US', lat: 36.85, lon: -76.29 },
+    { name: 'Charleston', region: 'South Carolina', country: 'US', lat: 32.78, lon: -79.93 },
+    { name: 'Galveston', region: 'Texas', country: 'US', lat: 29.3, lon: -94.8 },
+    { name: 'Seattle', region: 'Washington', country: 'US', lat: 47.61, lon: -122.33 },
+    { name: 'Vancouver', country: 'CA', lat: 49.28, lon: -123.12 },
+    { name: 'Cabo San Lucas', country: 'MX', lat: 22.89, lon: -109.92 },
+    { name: 'Cancún', aliases: ['cancun'], country: 'MX', lat: 21.16, lon: -86.85 },
+    { name: 'Nassau', country: 'BS', lat: 25.04, lon: -77.35 },
+    { name: 'St. Thomas', aliases: ['st thomas', 'saint thomas'], country: 'VI', lat: 18.34, lon: -64.93 },
+    { name: 'Tortola', aliases: ['road town'], country: 'VG', lat: 18.43, lon: -64.62 },
+    { name: 'English Harbour', country: 'AG', lat: 17.0, lon: -61.76 },
+
+    // Mediterranean and Europe
+    { name: "Côte d'Azur", aliases: ['french riviera'], kind: 'region', country: 'FR', lat: 43.6, lon: 7.0 },
+    { name: 'Balearic Islands', aliases: ['baleares', 'balearics', 'mallorca', 'majorca'], kind: 'region', country: 'ES', lat: 39.57, lon: 2.65 },
+    { name: 'Catalonia', aliases: ['cataluña', 'catalunya'], kind: 'region', country: 'ES', lat: 41.59, lon: 1.52 },
+    { name: 'Andalusia', aliases: ['andalucía'], kind: 'region', country: 'ES', lat: 37.54, lon: -4.73 },
+    { name: 'Liguria', kind: 'region', country: 'IT', lat: 44.32, lon: 8.8 },
+    { name: 'Tuscany', aliases: ['toscana'], kind: 'region', country: 'IT', lat: 43.77, lon: 11.25 },
+    { name: 'Sardinia', aliases: ['sardegna'], kind: 'region', country: 'IT', lat: 40.12, lon: 9.01 },
+    { name: 'Sicily', aliases: ['sicilia'], kind: 'region', country: 'IT', lat: 37.6, lon: 14.02 },
+    { name: 'Campania', kind: 'region', country: 'IT', lat: 40.84, lon: 14.25 },
+    { name: 'Dalmatia', aliases: ['dalmacija'], kind: 'region', country: 'HR', lat: 43.5, lon: 16.44 },
+    { name: 'Attica', aliases: ['attiki'], kind: 'region', country: 'GR', lat: 38.05, lon: 23.8 },
+    { name: 'Monaco', country: 'MC', lat: 43.74, lon: 7.42 },
+    { name: 'Port Hercule', aliases: ['port hercules'], kind: 'marina', city: 'Monaco', country: 'MC', lat: 43.73, lon: 7.42 },
+    { name: 'Cannes', region: "Côte d'Azur", country: 'FR', lat: 43.55, lon: 7.01 },
+    { name: 'Antibes', aliases: ['port vauban'], region: "Côte d'Azur", country: 'FR', lat: 43.58, lon: 7.12 },
+    { name: 'Nice', region: "Côte d'Azur", country: 'FR', lat: 43.7, lon: 7.27 },
+    { name: 'Saint-Tropez', aliases: ['st tropez', 'st-tropez'], region: "Côte d'Azur", country: 'FR', lat: 43.27, lon: 6.64 },
+    { name: 'Golfe-Juan', region: "Côte d'Azur", country: 'FR', lat: 43.57, lon: 7.08 },
+    { name: 'Toulon', country: 'FR', lat: 43.12, lon: 5.93 },
+    { name: 'La Ciotat', country: 'FR', lat: 43.17, lon: 5.6 },
+    { name: 'Marseille', aliases: ['marseilles'], country: 'FR', lat: 43.3, lon: 5.37 },
+    { name: 'La Rochelle', country: 'FR', lat: 46.16, lon: -1.15 },
+    { name: 'Palma', aliases: ['palma de mallorca'], region: 'Balearic Islands', country: 'ES', lat: 39.57, lon: 2.65 },
+    { name: 'Ibiza', region: 'Balearic Islands', country: 'ES', lat: 38.91, lon: 1.43 },
+    { name: 'Barcelona', region: 'Catalonia', country: 'ES', lat: 41.39, lon: 2.17 },
+    { name: 'Valencia', country: 'ES', lat: 39.47, lon: -0.38 },
+    { name: 'Alicante', country: 'ES', lat: 38.35, lon: -0.48 },
+    { name: 'Málaga', aliases: ['malaga'], region: 'Andalusia', country: 'ES', lat: 36.72, lon: -4.42 },
+    { name: 'Marbella', region: 'Andalusia', country: 'ES', lat: 36.51, lon: -4.89 },
+    { name: 'Puerto Banús', aliases: ['puerto banus'], kind: 'marina', city: 'Marbella', region: 'Andalusia', country: 'ES', lat: 36.49, lon: -4.95 },
+    { name: 'Lisbon', aliases: ['lisboa'], country: 'PT', lat: 38.72, lon: -9.14 },
+    { name: 'Lagos', country: 'PT', lat: 37.1, lon: -8.67 },
+    { name: 'Vilamoura', country: 'PT', lat: 37.08, lon: -8.12 },
+    { name: 'Genoa', aliases: ['genova', 'gênes'], region: 'Liguria', country: 'IT', lat: 44.41, lon: 8.93 },
+    { name: 'La Spezia', region: 'Liguria', country: 'IT', lat: 44.1, lon: 9.82 },
+    { name: 'Sanremo', aliases: ['san remo'], region: 'Liguria', country: 'IT', lat: 43.82, lon: 7.78 },
+    { name: 'Viareggio', region: 'Tuscany', country: 'IT', lat: 43.87, lon: 10.25 },
+    { name: 'Olbia', region: 'Sardinia', country: 'IT', lat: 40.92, lon: 9.5 },
+    { name: 'Porto Cervo', region: 'Sardinia', country: 'IT', lat: 41.14, lon: 9.53 },
+    { name: 'Naples', aliases: ['napoli'], region: 'Campania', country: 'IT', lat: 40.85, lon: 14.27 },
+    { name: 'Palermo', region: 'Sicily', country: 'IT', lat: 38.12, lon: 13.36 },
+    { name: 'Venice', aliases: ['venezia'], country: 'IT', lat: 45.44, lon: 12.32 },
+    { name: 'Split', region: 'Dalmatia', country: 'HR', lat: 43.51, lon: 16.44 },
+    { name: 'Trogir', region: 'Dalmatia', country: 'HR', lat: 43.52, lon: 16.25 },
+    { name: 'Dubrovnik', region: 'Dalmatia', country: 'HR', lat: 42.65, lon: 18.09 },
+    { name: 'Šibenik', aliases: ['sibenik'], region: 'Dalmatia', country: 'HR', lat: 43.73, lon: 15.9 },
+    { name: 'Zadar', region: 'Dalmatia', country: 'HR', lat: 44.12, lon: 15.23 },
+    { name: 'Pula', country: 'HR', lat: 44.87, lon: 13.85 },
+    { name: 'Portorož', aliases: ['portoroz'], country: 'SI', lat: 45.51, lon: 13.59 },
+    { name: 'Tivat', country: 'ME', lat: 42.43, lon: 18.7 },
+    { name: 'Porto Montenegro', kind: 'marina', city: 'Tivat', country: 'ME', lat: 42.43, lon: 18.69 },
+    { name: 'Athens', aliases: ['athina'], region: 'Attica', country: 'GR', lat: 37.98, lon: 23.73 },
+    { name: 'Piraeus', region: 'Attica', country: 'GR', lat: 37.94, lon: 23.65 },
+    { name: 'Lavrion', aliases: ['lavrio'], region: 'Attica', country: 'GR', lat: 37.71, lon: 24.05 },
+    { name: 'Corfu', aliases: ['kerkyra'], country: 'GR', lat: 39.62, lon: 19.92 },
+    { name: 'Lefkada', aliases: ['lefkas'], country: 'GR', lat: 38.83, lon: 20.71 },
+    { name: 'Rhodes', aliases: ['rodos'], country: 'GR', lat: 36.43, lon: 28.22 },
+    { name: 'Bodrum', country: 'TR', lat: 37.03, lon: 27.43 },
+    { name: 'Marmaris', country: 'TR', lat: 36.85, lon: 28.27 },
+    { name: 'Göcek', aliases: ['gocek'], country: 'TR', lat: 36.75, lon: 28.94 },
+    { name: 'Fethiye', country: 'TR', lat: 36.62, lon: 29.12 },
+    { name: 'Antalya', country: 'TR', lat: 36.9, lon: 30.71 },
+    { name: 'Istanbul', country: 'TR', lat: 41.01, lon: 28.98 },
+    { name: 'Valletta', aliases: ['valetta'], country: 'MT', lat: 35.9, lon: 14.51 },
+    { name: 'Limassol', country: 'CY', lat: 34.68, lon: 33.04 },
+    { name: 'Amsterdam', country: 'NL', lat: 52.37, lon: 4.9 },
+    { name: 'Lemmer', country: 'NL', lat: 52.84, lon: 5.71 },
+    { name: 'Hamburg', country: 'DE', lat: 53.55, lon: 9.99 },
+    { name: 'Kiel', country: 'DE', lat: 54.32, lon: 10.14 },
+    { name: 'Copenhagen', aliases: ['københavn', 'kobenhavn'], country: 'DK', lat: 55.68, lon: 12.57 },
+    { name: 'Stockholm', country: 'SE', lat: 59.33, lon: 18.07 },
+    { name: 'Oslo', country: 'NO', lat: 59.91, lon: 10.75 },
+
+    // Middle East, Asia and Oceania
+    { name: 'Queensland', aliases: ['qld'], kind: 'region', country: 'AU', lat: -20.92, lon: 142.7 },
+    { name: 'New South Wales', aliases: ['nsw'], kind: 'region', country: 'AU', lat: -31.25, lon: 146.92 },
+    { name: 'Dubai', country: 'AE', lat: 25.2, lon: 55.27 },
+    { name: 'Abu Dhabi', country: 'AE', lat: 24.45, lon: 54.38 },
+    { name: 'Phuket', country: 'TH', lat: 7.88, lon: 98.39 },
+    { name: 'Singapore', country: 'SG', lat: 1.29, lon: 103.85 },
+    { name: 'Sydney', region: 'New South Wales', country: 'AU', lat: -33.87, lon: 151.21 },
+    { name: 'Gold Coast', region: 'Queensland', country: 'AU', lat: -28.02, lon: 153.4 },
+    { name: 'Brisbane', region: 'Queensland', country: 'AU', lat: -27.47, lon: 153.03 },
+    { name: 'Auckland', country: 'NZ', lat: -36.85, lon: 174.76 }
+];
+
+// How specific each kind of entry is, most specific first
+const PLACE_RANK = { marina: 0, city: 1, region: 2, country: 3 };
+
+// Longest place name, in words, tried when scanning text
+const MAX_PLACE_WORDS = 4;
+
+let placeIndex = null; // normalized name -> [entry]
+
+// Lowercase words without accents: "Côte d'Azur" -> ['cote', 'd', 'azur']
+function placeWords(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\d]+/gu) || [];
+}
+
+function getPlaceIndex() {
+    if (placeIndex) return placeIndex;
+    placeIndex = new Map();
+    const add = (name, entry) => {
+        const key = placeWords(name).join(' ');
+        if (!placeIndex.has(key)) placeIndex.set(key, []);
+        placeIndex.get(key).push(entry);
+    };
+
+    Object.entries(COUNTRIES).forEach(([code, country]) => {
+        const entry = { ...country, kind: 'country', country: code };
+        [country.name, ...(country.aliases || [])].forEach(name => add(name, entry));
+    });
+    GAZETTEER.forEach(place => {
+        const entry = { kind: 'city', ...place };
+        [place.name, ...(place.aliases || [])].forEach(name => add(name, entry));
+    });
+    return placeIndex;
+}
+
+/**
+ * Add a gazetteer entry (see GAZETTEER for the shape), replacing any
+ * entry with the same name, kind and country.
+ */
+function registerPlace(entry) {
+    const same = place => place.name === entry.name && place.country === entry.country &&
+        (place.kind || 'city') === (entry.kind || 'city');
+    const existing = GAZETTEER.findIndex(same);
+    if (existing >= 0) GAZETTEER[existing] = entry;
+    else GAZETTEER.push(entry);
+    placeIndex = null;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Closest index key within one typo (two for names of 8+ letters) sharing
+// the first letter, for "Lymingotn" or "Southamptom"
+function fuzzyPlaceKey(key) {
+    if (key.length < 5) return null;
+    const allowed = key.length >= 8 ? 2 : 1;
+    let best = null;
+    let bestDistance = allowed + 1;
+    for (const candidate of getPlaceIndex().keys()) {
+        if (candidate[0] !== key[0] || Math.abs(candidate.length - key.length) > allowed) continue;
+        const distance = editDistance(key, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Find the gazetteer names in text, longest first, as
+ * [{ entries, fuzzy }] in reading order.
+ */
+function findPlaces(text) {
+    const index = getPlaceIndex();
+    const tokens = [...String(text).matchAll(/[\p{L}\d]+/gu)].map(match => match[0]);
+    const words = tokens.map(token => placeWords(token).join(''));
+    const found = [];
+
+    // Short aliases ("FL", "UK") count only in capitals
+    const usable = (key, start, count) => key.replace(/ /g, '').length > 3 ||
+        tokens.slice(start, start + count).every(token => token === token.toUpperCase());
+
+    for (let i = 0; i < words.length;) {
+        let matched = 0;
+        for (let count = Math.min(MAX_PLACE_WORDS, words.length - i); count > 0 && !matched; count--) {
+            const key = words.slice(i, i + count).join(' ');
+            if (index.has(key) && usable(key, i, count)) {
+                found.push({ entries: index.get(key), fuzzy: false });
+                matched = count;
+            }
+        }
+        for (let count = Math.min(MAX_PLACE_WORDS - 1, words.length - i); count > 0 && !matched; count--) {
+            const key = fuzzyPlaceKey(words.slice(i, i + count).join(' '));
+            if (key) {
+                found.push({ entries: index.get(key), fuzzy: true });
+                matched = count;
+            }
+        }
+        i += matched || 1;
+    }
+    return found;
+}
+
+/**
+ * Normalize location text against the gazetteer into
+ * { text, place, city, region, country, countryCode, lat, lon, match }:
+ * "Tax Paid Plymouth, Devon" -> Plymouth, Devon, United Kingdom. place is
+ * a marina name; match is 'exact' or 'fuzzy'; text keeps the original.
+ * Where a name is ambiguous (Newport, Naples) the other names in the text
+ * pick the entry. Returns null when nothing in the text is known.
+ */
+function parseLocation(text) {
+    const original = cleanText(text || '');
+    const found = findPlaces(original);
+    if (found.length === 0) return null;
+
+    // Regions and countries named anywhere in the text
+    const context = new Set(found.flatMap(({ entries }) => entries
+        .filter(entry => entry.kind === 'region' || entry.kind === 'country')
+        .map(entry => entry.kind === 'region' ? entry.name : entry.country)));
+    const fits = entry => (context.has(entry.region) ? 2 : 0) + (context.has(entry.country) ? 1 : 0);
+
+    const better = (entry, best) => fits(entry) > fits(best) ||
+        (fits(entry) === fits(best) && PLACE_RANK[entry.kind] < PLACE_RANK[best.kind]);
+    const resolved = found.map(({ entries, fuzzy }) => ({
+        entry: entries.reduce((best, entry) => better(entry, best) ? entry : best),
+        fuzzy
+    }));
+    const { entry, fuzzy } = resolved.reduce((best, candidate) =>
+        PLACE_RANK[candidate.entry.kind] < PLACE_RANK[best.entry.kind] ? candidate : best);
+
+    const country = COUNTRIES[entry.country] || {};
+    return {
+        text: original,
+        place: entry.kind === 'marina' ? entry.name : '',
+        city: entry.kind === 'marina' ? entry.city || '' : entry.kind === 'city' ? entry.name : '',
+        region: entry.kind === 'region' ? entry.name : entry.region || '',
+        country: country.name || '',
+        countryCode: entry.country || '',
+        lat: entry.lat,
+        lon: entry.lon,
+        match: fuzzy ? 'fuzzy' : 'exact'
+    };
+}
+
+// "Port Solent, Portsmouth, Hampshire, United Kingdom"
+function formatLocation(info) {
+    const parts = [info.place, info.city, info.region, info.country].filter(Boolean);
+    return parts.filter((part, i) => parts.indexOf(part) === i).join(', ');
+}
+
+/**
+ * Set yacht.location from location text: the normalized name when the
+ * gazetteer knows the place, otherwise the cleaned text unless requireMatch
+ * is set. A match on the region or country alone keeps the text too, so an
+ * unknown town in it isn't lost. yacht.locationInfo keeps the structured
+ * result and the original text. Returns whether the location was set.
+ */
+function applyLocation(yacht, text, { requireMatch = false } = {}) {
+    const original = cleanText(text || '');
+    if (!original) return false;
+
+    const info = parseLocation(original);
+    if (!info && requireMatch) return false;
+    yacht.location = info && (info.city || info.place) ? formatLocation(info) : original;
+    yacht.locationInfo = info || { text: original, match: '' };
+    return true;
+}
+
+/**
+ * Great-circle distance in km between two { lat, lon } points.
+ */
+function distanceKm(from, to) {
+    const rad = degrees => degrees * Math.PI / 180;
+    const dLat = rad(to.lat - from.lat);
+    const dLon = rad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+// ============================================================================
+// GENERIC EXTRACTION HELPERS
+// ============================================================================
+
+function createEmptyYacht(index = 0) {
+    return {
+        id: `yacht-${Date.now()}-${index}`,
+        title: '',
+        price: '',
+        priceRaw: null,
+        priceInfo: null,
+        priceStatus: '',
+        year: '',
+        length: '',
+        lengthUnit: 'ft',
+        type: '',
+        make: '',
+        model: '',
+        location: '',
+        locationInfo: null,
+        description: '',
+        images: [],
+        sourceUrl: '',
+        source: 'generic',
+        confidence: {
+            overall: 50
+        },
+        issues: [],
+        ambiguousFields: [],
+        dimensions: {},
+        engine: {},
+        speed: {},
+        provenance: {}
+    };
+}
+
+/**
+ * Record how yacht[field] was just read: its value, confidence (0-100) and
+ * extractor - 'json-ld', 'microdata', an adapter name, 'spec-table',
+ * 'regex', 'title', 'user'. Defaults to the yacht's source. The page URL
+ * and listing source are added by recordProvenance().
+ */
+function noteField(yacht, field, confidence, extractor = yacht.source) {
+    yacht.provenance[field] = { value: fieldValue(yacht, field), confidence, extractor, source: null, url: null };
+    return yacht;
+}
+
+function fieldValue(yacht, field) {
+    const value = yacht[field];
+    return Array.isArray(value) ? [...value] : value;
+}
+
+// Confidence of a field set without noteField()
+const UNNOTED_FIELD_CONFIDENCE = 60;
+
+/**
+ * Confidence (0-100) of a field's value, 0 when the field is empty.
+ */
+function fieldConfidence(yacht, field) {
+    const value = yacht[field];
+    if (Array.isArray(value) ? value.length === 0 : !value) return 0;
+    const entry = yacht.provenance && yacht.provenance[field];
+    return entry ? entry.confidence : UNNOTED_FIELD_CONFIDENCE;
+}
+
+/**
+ * Title built from year, make and model for a listing without one. It is
+ * only as good as they are, so it gets 10 less than confidence.
+ */
+function fallbackTitle(yacht, confidence) {
+    if (yacht.title || !(yacht.make || yacht.model)) return;
+    yacht.title = [yacht.year, yacht.make, yacht.model].filter(Boolean).join(' ');
+    noteField(yacht, 'title', confidence - 10);
+}
+
+function extractFromGenericCard(card, baseUrl, index) {
+    const text = card.textContent || '';
+    const yacht = createEmptyYacht(index);
+
+    // Skip if too little or too much content
+    if (text.length < 20 || text.length > 5000) return null;
+
+    // Try to get price (but don't require it)
+    const priceData = classifyPrice(text);
+    if (priceData.raw ? isPlausiblePrice(priceData.raw, priceData.currency) : priceData.status) {
+        applyPrice(yacht, priceData, 70, 'generic');
+    }
+
+    // Title - first meaningful heading or link
+    const headings = card.querySelectorAll('h1, h2, h3, h4, h5, a[href*="boat"], a[href*="yacht"]');
+    for (const h of headings) {
+        const t = cleanText(h.textContent);
+        if (t.length >= 5 && t.length <= 150 && !t.match(/^[\$€£]/)) {
+            yacht.title = t;
+            noteField(yacht, 'title', 65, 'generic');
+            yacht.detailUrl = h.href || h.closest('a')?.href;
+            break;
+        }
+    }
+
+    // Images - try img tags first
+    const images = card.querySelectorAll('img');
+    yacht.images = Array.from(images)
+        .filter(isValidImage)
+        .map(img => resolveUrl(img.src || img.dataset.src || img.dataset.lazySrc, baseUrl))
+        .filter(Boolean);
+
+    // Fallback to background images
+    if (yacht.images.length === 0) {
+        const bgElements = card.querySelectorAll('[style*="background"]');
+        bgElements.forEach(el => {
+            const style = el.getAttribute('style') || '';
+            const bgMatch = style.match(/url\(['"]?([^'")\s]+)['"]?\)/);
+            if (bgMatch && yacht.images.length < 3) {
+                const imgUrl = resolveUrl(bgMatch[1], baseUrl);
+                if (imgUrl && !imgUrl.includes('placeholder')) {
+                    yacht.images.push(imgUrl);
+                }
+            }
+        });
+    }
+
+    if (yacht.images.length > 0) noteField(yacht, 'images', 70, 'generic');
+
+    // Location - check for explicit location elements first
+    const locationEl = card.querySelector('[class*="location"], [class*="port"], [class*="city"]');
+    if (locationEl && applyLocation(yacht, locationEl.textContent)) {
+        noteField(yacht, 'location', 60, 'generic');
+    }
+
+    // Additional specs from text
+    extractSpecs(card, yacht);
+
+    // Only need title to be valid (price is nice to have)
+    if (!yacht.title) return null;
+
+    return yacht;
+}
+
+// Confidence of the free-text patterns in extractSpecs(), by field
+const FREE_TEXT_CONFIDENCE = { year: 50, length: 55, type: 50, location: 55 };
+
+// A four-digit year standing on its own: not "© 2024", a phone number
+// ("+44 1983 200 200") or part of a date ("12/05/2021")
+const FREE_TEXT_YEAR = /(?<![\d©+\/.\-]\s?|copyright\s)\b(19[5-9]\d|20[0-2]\d)\b(?!\s?[\d\/.\-]\d)/i;
+
+function extractSpecs(element, yacht) {
+    const text = element.textContent || '';
+
+    // Labelled spec rows first; the free-text patterns below only fill
+    // what they leave open
+    const fromTable = applySpecRows(yacht, extractSpecRows(element));
+
+    // Free text only fills a field nothing read more reliably
+    const weaker = field => fieldConfidence(yacht, field) < FREE_TEXT_CONFIDENCE[field];
+
+    // Year
+    const yearMatch = weaker('year') ? text.match(FREE_TEXT_YEAR) : null;
+    if (yearMatch) {
+        const year = parseInt(yearMatch[1]);
+        if (year >= 1950 && year <= new Date().getFullYear() + 1) {
+            yacht.year = yearMatch[1];
+            noteField(yacht, 'year', FREE_TEXT_CONFIDENCE.year, 'regex');
+        }
+    }
+
+    // Dimensions: LOA, LWL, beam, draft, air draft, displacement. Values
+    // an adapter already read take precedence.
+    const dimensions = unsetEntries(extractDimensions(text), yacht.dimensions);
+    applyDimensions(yacht, dimensions);
+    if (dimensions.loa) noteField(yacht, 'length', FREE_TEXT_CONFIDENCE.length, 'regex');
+
+    // Engines, drive and speed, again without overriding adapter values
+    const { engine, speed } = extractEngine(text);
+    applyEngine(yacht, { engine: unsetEntries(engine, yacht.engine), speed: unsetEntries(speed, yacht.speed) });
+
+    // Type
+    const type = weaker('type') ? classifyType(text) : '';
+    if (type) {
+        yacht.type = type;
+        noteField(yacht, 'type', FREE_TEXT_CONFIDENCE.type, 'regex');
+    }
+
+    // Location: a labelled one or the first "Town, Region" phrase the
+    // gazetteer knows, so "Read More, Contact" is not taken for a place
+    if (!yacht.location && !fromTable.has('location')) {
+        const candidates = [
+            ...text.matchAll(/(?:location|located|lying|port)[:\s]+([\p{L}][\p{L}\s,'-]+?)(?:\.|$|\n|<)/giu),
+            ...text.matchAll(/(\p{Lu}[\p{Ll}'-]+(?:\s+\p{Lu}[\p{Ll}'-]+)*,\s*\p{Lu}\p{L}+(?:\s+\p{Lu}\p{Ll}+)*)/gu)
+        ];
+        const found = candidates.some(match => match[1].length <= 60 &&
+            applyLocation(yacht, match[1], { requireMatch: true }));
+        if (found) noteField(yacht, 'location', FREE_TEXT_CONFIDENCE.location, 'regex');
+    }
+}
+
+/**
+ * Parse the first plausible price in text. Returns { raw, formatted,
+ * currency, info } where raw is the amount in the listing currency and info
+ * is the structured price stored as yacht.priceInfo. defaultCurrency is
+ * used for unmarked amounts and to resolve a bare "$" or "kr"; without it
+ * unmarked amounts are assumed to be in CONFIG.BASE_CURRENCY. locale (the
+ * page language by default) settles "1.250" vs "1,250"; ambiguous is set
+ * when it cannot.
+ */
+function extractPrice(text, defaultCurrency = null, locale = pageLocale) {
+    return extractPrices(text, defaultCurrency, locale)[0] ||
+        { raw: null, formatted: '', currency: null, info: null, ambiguous: false };
+}
+
+/**
+ * Every plausible price in text, in order, from the first pattern in
+ * PRICE_PATTERNS that finds any ("Was £120,000 Now £95,000" -> both).
+ */
+function extractPrices(text, defaultCurrency = null, locale = pageLocale) {
+    text = text || '';
+
+    for (const pattern of PRICE_PATTERNS) {
+        const prices = [];
+        for (const match of text.matchAll(pattern.regex)) {
+            const currency = pattern.marker
+                ? markerCurrency(match[pattern.marker], defaultCurrency)
+                : defaultCurrency;
+            const amount = parseNumber(match[pattern.amount], { locale, currency, kind: 'price' });
+            if (isNaN(amount.value) || amount.value < 1000) continue;
+
+            const parsed = buildPrice(amount.value, currency, text, cleanText(match[0]));
+            parsed.ambiguous = amount.ambiguous;
+            prices.push(parsed);
+        }
+        if (prices.length > 0) return prices;
+    }
+
+    return [];
+}
+
+/**
+ * Sale status of a price text: one of PRICE_STATUS_PATTERNS' statuses,
+ * 'reduced', or null when it says nothing. isField marks text that is the
+ * price field alone, where a bare "Contact" / "Enquire" means POA.
+ */
+function priceStatus(text, isField = false) {
+    const found = PRICE_STATUS_PATTERNS.find(([, regex]) => regex.test(text));
+    if (found) return found[0];
+    if (isField && /^\W*(?:contact|enquire|inquire|call|ask)\b/i.test(text)) return 'poa';
+    if (REDUCED_REGEX.test(text)) return 'reduced';
+    return null;
+}
+
+/**
+ * Parse a price text into an extractPrice() result plus its sale status:
+ * { ..., status, info: { ..., previous, period } }. A reduction keeps the
+ * higher amount as info.previous, a charter rate its period ('week',
+ * 'day'...). Sold / POA texts without an amount get the status label as
+ * their formatted price and a null raw amount.
+ */
+function classifyPrice(text, { currency = null, locale = pageLocale, isField = false } = {}) {
+    text = cleanText(text || '');
+    const prices = extractPrices(text, currency, locale);
+    let status = priceStatus(text, isField);
+    let parsed = prices[0];
+    let previous = null;
+
+    // Two amounts next to was/now wording: a reduction from the higher one
+    if (prices.length > 1 && (status === 'reduced' || (!status && PREVIOUS_PRICE_REGEX.test(text)))) {
+        const sameCurrency = prices.filter(price => price.currency === prices[0].currency);
+        parsed = sameCurrency.reduce((low, price) => (price.raw < low.raw ? price : low));
+        previous = Math.max(...sameCurrency.map(price => price.raw));
+        status = previous > parsed.raw ? 'reduced' : status;
+    }
+
+    if (!parsed) {
+        if (!status || status === 'reduced') {
+            return { raw: null, formatted: '', currency: null, info: null, ambiguous: false, status: null };
+        }
+        return {
+            raw: null,
+            formatted: PRICE_STATUS_LABELS[status],
+            currency: null,
+            ambiguous: false,
+            status,
+            info: {
+                amount: null, currency: null, currencyAssumed: false,
+                vat: vatStatus(text), taxIncluded: taxInclusion(text),
+                original: text.slice(0, 120), previous: null, period: null
+            }
+        };
+    }
+
+    const period = status === 'charter' ? charterPeriod(text) : null;
+    return {
+        ...parsed,
+        formatted: period ? `${parsed.formatted} / ${period}` : parsed.formatted,
+        status: status || 'for-sale',
+        info: { ...parsed.info, previous: previous > parsed.raw ? previous : null, period }
+    };
+}
+
+function charterPeriod(text) {
+    const match = text.match(/\b(?:per|p\/?)\s*(week|wk|day|night|month)|\/\s*(week|wk|day|night|month)|\b(week|dai|night|month)ly\b/i);
+    const unit = match ? (match[1] || match[2] || match[3]).toLowerCase() : 'week';
+    return { wk: 'week', dai: 'day' }[unit] || unit;
+}
+
+// Price element text with struck-through amounts (<del>, <s>) marked as the
+// old price, so "<del>£120,000</del> £95,000" reads as a reduction
+function priceElementText(el) {
+    const struckSelector = 'del, s, strike, [class*="old-price"], [class*="was-price"], [class*="original-price"]';
+    if (!el.querySelector(struckSelector)) return el.textContent || '';
+
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(struckSelector).forEach(node => {
+        node.prepend('Was ');
+        node.append(' ');
+    });
+    return clone.textContent || '';
+}
+
+/**
+ * Price result for an amount whose currency is already known (structured
+ * data, JSON APIs) or assumed when currency is empty. context is the
+ * surrounding text searched for VAT wording.
+ */
+function buildPrice(amount, currency, context = '', original = '') {
+    const code = (currency || CONFIG.BASE_CURRENCY).toUpperCase();
+    return {
+        raw: amount,
+        formatted: formatPrice(amount, code),
+        currency: code,
+        ambiguous: false,
+        info: {
+            amount,
+            currency: code,
+            currencyAssumed: !currency,
+            vat: vatStatus(context),
+            taxIncluded: taxInclusion(context),
+            original: original || String(amount)
+        }
+    };
+}
+
+function markerCurrency(marker, defaultCurrency) {
+    const entry = CURRENCY_MARKERS.find(([source]) => new RegExp(`^(?:${source})$`, 'i').test(marker));
+    const code = entry && entry[1] ? entry[1] : marker.toUpperCase();
+    if (entry && entry[2] && AMBIGUOUS_CURRENCIES[code].includes(defaultCurrency)) return defaultCurrency;
+    return code;
+}
+
+// 'paid', 'not-paid' or null when the text does not say
+function vatStatus(text) {
+    if (VAT_NOT_PAID_REGEX.test(text)) return 'not-paid';
+    if (VAT_PAID_REGEX.test(text)) return 'paid';
+    return null;
+}
+
+// true for "incl. VAT", false for "ex VAT" / "+ VAT", null when not stated
+function taxInclusion(text) {
+    if (TAX_EXCLUDED_REGEX.test(text)) return false;
+    if (TAX_INCLUDED_REGEX.test(text)) return true;
+    return null;
+}
+
+/**
+ * Store a parsed price on a yacht: the display string, the raw amount, the
+ * structured priceInfo and the sale status. With a confidence the price is
+ * also noted (see noteField()).
+ */
+function applyPrice(yacht, parsed, confidence, extractor) {
+    yacht.price = parsed.formatted;
+    yacht.priceRaw = parsed.raw;
+    yacht.priceInfo = parsed.info;
+    yacht.priceStatus = parsed.status || (parsed.raw ? 'for-sale' : '');
+    markAmbiguous(yacht, 'price', parsed.ambiguous);
+    if (confidence) noteField(yacht, 'price', confidence, extractor);
+    return yacht;
+}
+
+function formatPrice(num, currency = 'USD', locale = CONFIG.PRICE_LOCALE) {
+    if (!num || isNaN(num)) return '';
+
+    try {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(num);
+    } catch {
+        // Not an ISO code Intl knows
+        return `${currency} ${num.toLocaleString(locale, { maximumFractionDigits: 0 })}`;
+    }
+}
+
+// Exchange-rate table in use, see DEFAULT_EXCHANGE_RATES
+let exchangeRates = DEFAULT_EXCHANGE_RATES;
+
+/**
+ * Replace the exchange-rate table with { base, asOf, rates } where rates
+ * holds units of each currency per one unit of base. Pass null to restore
+ * the built-in offline table.
+ */
+function setExchangeRates(table) {
+    exchangeRates = table
+        ? { ...table, rates: { ...table.rates, [table.base]: 1 } }
+        : DEFAULT_EXCHANGE_RATES;
+}
+
+function getExchangeRates() {
+    return exchangeRates;
+}
+
+/**
+ * Convert an amount between currencies (to defaults to BASE_CURRENCY).
+ * Returns null when either currency is missing from the rate table.
+ */
+function convertPrice(amount, from, to = CONFIG.BASE_CURRENCY) {
+    if (amount === null || amount === undefined || isNaN(amount)) return null;
+    if (from === to) return amount;
+
+    const fromRate = exchangeRates.rates[from];
+    const toRate = exchangeRates.rates[to];
+    if (!fromRate || !toRate) return null;
+    return amount / fromRate * toRate;
+}
+
+/**
+ * A yacht's asking price in BASE_CURRENCY (or `to`) for thresholds and
+ * sorting; null without a price or a rate. Yachts without priceInfo are
+ * taken to be priced in BASE_CURRENCY already.
+ */
+function normalizedPrice(yacht, to = CONFIG.BASE_CURRENCY) {
+    if (!yacht.priceRaw) return null;
+    return convertPrice(yacht.priceRaw, yacht.priceInfo?.currency || CONFIG.BASE_CURRENCY, to);
+}
+
+// Whether an amount is inside MIN/MAX_YACHT_PRICE once normalized; amounts
+// in a currency without a rate are compared as-is
+function isPlausiblePrice(amount, currency) {
+    const normalized = convertPrice(amount, currency) ?? amount;
+    return normalized >= CONFIG.MIN_YACHT_PRICE && normalized <= CONFIG.MAX_YACHT_PRICE;
+}
+
+function isValidImage(img) {
+    if (!img) return false;
+
+    const src = (img.src || img.dataset.src || '').toLowerCase();
+
+    // Exclude common non-listing images
+    const excludePatterns = [
+        'logo', 'icon', 'placeholder', 'loading', 'spinner', 'avatar',
+        'banner', 'header', 'footer', 'social', 'facebook', 'twitter',
+        'linkedin', 'instagram', 'pinterest', 'youtube', 'button',
+        '1x1', 'pixel', 'tracking', 'beacon', 'spacer'
+    ];
+
+    for (const pattern of excludePatterns) {
+        if (src.includes(pattern)) return false;
+    }
+
+    // Check dimensions if available
+    const width = img.naturalWidth || img.width || parseInt(img.getAttribute('width')) || 300;
+    const height = img.naturalHeight || img.height || parseInt(img.getAttribute('height')) || 200;
+
+    return width >= CONFIG.MIN_IMAGE_WIDTH && height >= CONFIG.MIN_IMAGE_HEIGHT;
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!url) return null;
+    if (url.startsWith('data:')) return null; // Skip data URLs
+    if (url.startsWith('http')) return url;
+
+    try {
+        const base = new URL(baseUrl);
+        if (url.startsWith('//')) {
+            return base.protocol + url;
+        } else if (url.startsWith('/')) {
+            return base.origin + url;
+        } else {
+            return new URL(url, baseUrl).href;
+        }
+    } catch {
+        return null;
+    }
+}
+
+function cleanText(text) {
+    return (text || '')
+        .replace(/\s+/g, ' ')
+        .replace(/[\n\r\t]/g, ' ')
+        .trim();
+}
+
+// ============================================================================
+// MAIN PARSING ORCHESTRATOR
+// ============================================================================
+
+/**
+ * Run the full pipeline over one page. validate: false skips site
+ * validation, for fragments of a page that already passed it (endpoint
+ * responses); report.validation is then null.
+ * Returns { yachts, error, report } where report is the debug record
+ * ({ url, validation, yachts, debug, strategies, inference }) shown by the
+ * debug panel.
+ */
+function parseYachtListings(html, sourceUrl, { validate = true } = {}) {
+    const doc = parseHtml(html, sourceUrl);
+    const locale = setPageLocale(doc);
+
+    const debug = {
+        attempted: 0,
+        accepted: 0,
+        rejected: 0,
+        rejectionReasons: []
+    };
+
+    // JSON inventory endpoints are reported even for pages that fail
+    // validation - an XHR-driven listing page may have little text
+    const endpoints = discoverJsonEndpoints(doc, sourceUrl);
+
+    // Step 1: Validate this is a yacht site
+    const language = detectLanguage(doc);
+    const validation = validate ? validateYachtSite(html, language, doc) : null;
+    if (validation && !validation.valid) {
+        const report = { url: sourceUrl, locale, language, validation, yachts: [], debug, endpoints };
+        return { yachts: [], error: validation.reason, report };
+    }
+
+    // Step 2: Structured data (JSON-LD, microdata)
+    const strategies = [{ name: 'structured-data', yachts: extractStructuredData(html, sourceUrl) }];
+
+    // Step 3: Listings in embedded state (__NEXT_DATA__, window.__INITIAL_STATE__...)
+    const embedded = extractEmbeddedListings(doc, sourceUrl);
+    strategies.push({ name: 'embedded-state', yachts: embedded.yachts });
+
+    // Step 4: Every site adapter that recognises the page
+    SITE_ADAPTERS.forEach(adapter => {
+        if (!adapter.detect(doc, sourceUrl)) return;
+        log('Running adapter:', adapter.name);
+        strategies.push({ name: adapter.name, heuristic: adapter.heuristic, single: adapter.single, yachts: adapter.parse(doc, sourceUrl) });
+    });
+
+    // Card inference runs regardless so the report can suggest an adapter
+    const inference = inferListingCards(doc, sourceUrl);
+    if (inference) log('Inferred cards:', inference.selector, `(score ${inference.score})`);
+
+    // Step 5: Generic heuristic parsing
+    strategies.push({ name: 'generic', heuristic: true, yachts: genericHeuristicParse(doc, sourceUrl, inference) });
+
+    // Step 6: Merge the strategies per listing
+    const merged = mergeStrategies(strategies, sourceUrl);
+    merged.contributions.forEach(c => {
+        if (c.found > 0) log(`Strategy ${c.strategy}: ${c.found} found, ${c.added} added, ${c.merged} merged, ${c.ignored} ignored`);
+    });
+
+    // Step 7: Validate, filter and deduplicate results
+    const yachts = finalizeYachts(merged.yachts, sourceUrl, debug);
+
+    const report = { url: sourceUrl, locale, language, validation, yachts, debug, strategies: merged.contributions, inference, embedded: embedded.states, endpoints };
+    log('Parse complete:', debug);
+
+    return { yachts, error: null, report };
+}
+
+/**
+ * Score, validate and filter extracted yachts, recording rejections in
+ * debug, then deduplicate.
+ */
+function finalizeYachts(yachts, sourceUrl, debug) {
+    debug.attempted += yachts.length;
+
+    yachts = yachts.filter(yacht => {
+        // Year, make, model, type and length the title gives away
+        applyTitleDetails(yacht);
+        applyTypeByLength(yacht);
+
+        // Where each field came from, then the overall confidence
+        yacht.sourceUrl = sourceUrl;
+        recordProvenance(yacht, sourceUrl);
+        yacht.confidence.overall = calculateConfidence(yacht);
+
+        // Validate each yacht
+        yacht.issues = validateYacht(yacht);
+
+        // Filter out low-confidence listings
+        if (yacht.confidence.overall < CONFIG.MIN_LISTING_CONFIDENCE) {
+            debug.rejected++;
+            debug.rejectionReasons.push(`Low confidence (${yacht.confidence.overall}): ${yacht.title || 'No title'}`);
+            return false;
+        }
+
+        // Must have at least title or price
+        if (!yacht.title && !yacht.priceRaw) {
+            debug.rejected++;
+            debug.rejectionReasons.push('No title or price');
+            return false;
+        }
+
+        if (yacht.priceStatus === 'sold' && CONFIG.SOLD_LISTINGS === 'exclude') {
+            debug.rejected++;
+            debug.rejectionReasons.push(`Sold: ${yacht.title || 'No title'}`);
+            return false;
+        }
+
+        debug.accepted++;
+        return true;
+    });
+
+    return deduplicateYachts(yachts);
+}
+
+/**
+ * Last strategy: inferred cards when inference found a convincing group,
+ * otherwise the old class-name guesses.
+ */
+function genericHeuristicParse(doc, sourceUrl, inference) {
+    if (inference) {
+        const adapter = createConfigAdapter({ ...inference.config, name: 'inferred' });
+        const yachts = adapter.parse(doc, sourceUrl);
+        if (yachts.length > 0) return yachts;
+    }
+
+    const yachts = [];
+
+    // Find elements that look like listing containers
+    const candidateSelectors = [
+        'article', '.item', '.card', '.product', '.result',
+        '[class*="listing"]', '[class*="yacht"]', '[class*="boat"]',
+        '[class*="product"]', '[class*="result"]', '[class*="item"]'
+    ];
+
+    let candidates = [];
+    for (const selector of candidateSelectors) {
+        const found = doc.querySelectorAll(selector);
+        if (found.length >= 2 && found.length <= 100) {
+            candidates = Array.from(found);
+            break;
+        }
+    }
+
+    candidates.forEach((el, i) => {
+        const yacht = extractFromGenericCard(el, sourceUrl, i);
+        if (yacht) yachts.push(yacht);
+    });
+
+    return yachts;
+}
+
+// Weight of each field in a listing's overall confidence
+const CONFIDENCE_WEIGHTS = { title: 35, images: 25, price: 15, year: 10, length: 5, type: 5, location: 5 };
+
+/**
+ * Overall confidence (0-100): the field confidences averaged by
+ * CONFIDENCE_WEIGHTS, an empty field counting as 0. A price only counts
+ * with an amount.
+ */
+function calculateConfidence(yacht) {
+    let score = 0;
+    let maxScore = 0;
+
+    Object.entries(CONFIDENCE_WEIGHTS).forEach(([field, weight]) => {
+        maxScore += weight;
+        if (field === 'price' && !(yacht.priceRaw > 0)) return;
+        score += weight * fieldConfidence(yacht, field) / 100;
+    });
+
+    return Math.round((score / maxScore) * 100);
+}
+
+// Price statuses that need a look before import
+const PRICE_STATUS_WARNINGS = {
+    sold: 'Listing is sold',
+    'sale-pending': 'Sale pending',
+    'under-offer': 'Under offer',
+    poa: 'Price on application',
+    charter: 'Charter rate, not a sale price'
+};
+
+// Plausible engine and speed values; outside them a field is likely misread
+const ENGINE_RANGES = {
+    count: [1, 6, 'Engine count'],
+    hp: [2, 6000, 'Horsepower per engine'],
+    hours: [0, 40000, 'Engine hours']
+};
+const SPEED_RANGE_KNOTS = [1, 80];
+
+function validateYacht(yacht) {
+    const issues = [];
+
+    if (!yacht.title) issues.push({ field: 'title', severity: 'error', message: 'Missing title' });
+
+    // Price is only an error if completely missing; POA, sold, charter rates
+    // and "See Details" are warnings
+    if (!yacht.price) {
+        issues.push({ field: 'price', severity: 'error', message: 'Missing price' });
+    } else if (PRICE_STATUS_WARNINGS[yacht.priceStatus]) {
+        issues.push({ field: 'price', severity: 'warning', message: PRICE_STATUS_WARNINGS[yacht.priceStatus] });
+    } else if (yacht.price === 'See Details' || yacht.priceRaw === 0) {
+        issues.push({ field: 'price', severity: 'warning', message: 'Price not shown' });
+    } else if (yacht.priceInfo?.currencyAssumed) {
+        issues.push({ field: 'price', severity: 'warning', message: `Currency not stated, assumed ${yacht.priceInfo.currency}` });
+    }
+
+    (yacht.ambiguousFields || []).forEach(field => {
+        issues.push({ field, severity: 'warning', message: `Check ${field}: number format is ambiguous` });
+    });
+
+    if (yacht.images.length === 0) issues.push({ field: 'images', severity: 'warning', message: 'No images' });
+
+    if (!yacht.year) issues.push({ field: 'year', severity: 'warning', message: 'Missing year' });
+    if (!yacht.length) issues.push({ field: 'length', severity: 'warning', message: 'Missing length' });
+    const loa = yacht.dimensions && yacht.dimensions.loa;
+    if (loa && (loa.ft < CONFIG.MIN_YACHT_LENGTH_FT || loa.ft > CONFIG.MAX_YACHT_LENGTH_FT)) {
+        issues.push({ field: 'length', severity: 'warning', message: `Length ${formatDimension(loa)} is outside the usual yacht range` });
+    }
+    if (!yacht.type) issues.push({ field: 'type', severity: 'warning', message: 'Missing type' });
+    if (!yacht.location) issues.push({ field: 'location', severity: 'warning', message: 'Missing location' });
+
+    const engine = yacht.engine || {};
+    Object.entries(ENGINE_RANGES).forEach(([field, [min, max, label]]) => {
+        if (engine[field] !== undefined && (engine[field] < min || engine[field] > max)) {
+            issues.push({ field: 'engine', severity: 'warning', message: `${label} ${engine[field]} outside ${min}-${max}` });
+        }
+    });
+
+    const speed = yacht.speed || {};
+    const [minKnots, maxKnots] = SPEED_RANGE_KNOTS;
+    [['max', 'Max'], ['cruise', 'Cruise']].forEach(([field, label]) => {
+        if (speed[field] !== undefined && (speed[field] < minKnots || speed[field] > maxKnots)) {
+            issues.push({ field: 'speed', severity: 'warning', message: `${label} speed ${speed[field]} kn outside ${minKnots}-${maxKnots}` });
+        }
+    });
+    if (speed.max && speed.cruise && speed.cruise > speed.max) {
+        issues.push({ field: 'speed', severity: 'warning', message: 'Cruise speed is above max speed' });
+    }
+
+    return issues;
+}
+
+function deduplicateYachts(yachts) {
+    const seenUrls = new Set();
+    const seenTitles = new Set();
+
+    return yachts.filter(yacht => {
+        // Best: dedupe by detail URL (most reliable)
+        if (yacht.detailUrl) {
+            if (seenUrls.has(yacht.detailUrl)) return false;
+            seenUrls.add(yacht.detailUrl);
+            return true;
+        }
+
+        // Fallback: dedupe by title + price
+        const key = `${(yacht.title || '').toLowerCase().trim()}|${yacht.priceRaw || 0}`;
+        if (seenTitles.has(key)) return false;
+        seenTitles.add(key);
+        return true;
+    });
+}
+
+// ============================================================================
+// RESULT MERGING
+// ============================================================================
+
+/**
+ * Copy one PROVENANCE_FIELDS field and its provenance entry from source to
+ * target, with the values that travel with it: price amount, status and
+ * currency, the LOA behind a length, location details, ambiguity.
+ */
+function copyField(target, source, field) {
+    target[field] = fieldValue(source, field);
+    if (source.provenance[field]) {
+        target.provenance[field] = source.provenance[field];
+    } else {
+        delete target.provenance[field];
+    }
+
+    if (field === 'price') {
+        target.priceRaw = source.priceRaw;
+        target.priceStatus = source.priceStatus;
+        target.priceInfo = source.priceInfo;
+    }
+    if (field === 'length') {
+        target.lengthUnit = source.lengthUnit;
+        if (source.dimensions.loa) target.dimensions = { ...target.dimensions, loa: source.dimensions.loa };
+    }
+    if (field === 'location') target.locationInfo = source.locationInfo;
+    markAmbiguous(target, field, (source.ambiguousFields || []).includes(field));
+}
+
+/**
+ * Merge another reading of the same listing into target. A field is taken
+ * when source read it with higher confidence (an empty field has none);
+ * images are pooled, the more confident reading's first. Dimensions,
+ * engine, speed and the detail URL only fill gaps.
+ * Returns the names of the fields taken.
+ */
+function mergeYacht(target, source) {
+    const taken = [];
+
+    PROVENANCE_FIELDS.forEach(field => {
+        const confidence = fieldConfidence(source, field);
+        if (field === 'images') {
+            const newImages = source.images.filter(src => !target.images.includes(src));
+            if (newImages.length === 0) return;
+            if (confidence > fieldConfidence(target, field)) {
+                target.images = [...source.images, ...target.images.filter(src => !source.images.includes(src))];
+                target.provenance.images = source.provenance.images;
+            } else {
+                target.images = [...target.images, ...newImages];
+            }
+            target.images = target.images.slice(0, 20);
+            taken.push(field);
+            return;
+        }
+        if (confidence === 0 || confidence <= fieldConfidence(target, field)) return;
+        copyField(target, source, field);
+        taken.push(field);
+    });
+
+    if (!target.detailUrl && source.detailUrl) {
+        target.detailUrl = source.detailUrl;
+        taken.push('detailUrl');
+    }
+
+    const newDimensions = unsetEntries(source.dimensions || {}, target.dimensions);
+    if (Object.keys(newDimensions).length > 0) {
+        target.dimensions = { ...target.dimensions, ...newDimensions };
+        taken.push('dimensions');
+    }
+
+    const newEngine = { engine: unsetEntries(source.engine || {}, target.engine), speed: unsetEntries(source.speed || {}, target.speed) };
+    if (Object.keys(newEngine.engine).length + Object.keys(newEngine.speed).length > 0) {
+        applyEngine(target, newEngine);
+        taken.push('engine');
+    }
+
+    return taken;
+}
+
+// Title without a build year, reduced to letters and digits, for matching
+// listings without a URL ("2015 Beneteau Oceanis 45" = "Beneteau Oceanis 45")
+function titleKey(yacht) {
+    return (yacht.title || '').toLowerCase()
+        .replace(/\b(?:19|20)\d{2}\b/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * The listing a strategy's yacht describes. Listings from the same
+ * strategy (own) only match on the same detail URL - a page may list
+ * near-identical boats. Listings from earlier strategies also match on an
+ * identical title when either lacks a URL and their prices don't disagree,
+ * unless another of this strategy's yachts already claimed them.
+ */
+function findMergeTarget(yacht, { own, earlier, claimed }, baseUrl) {
+    const url = yacht.detailUrl && normalizeCrawlUrl(yacht.detailUrl, baseUrl);
+    if (url) {
+        const byUrl = [...earlier, ...own].find(other => other.detailUrl && normalizeCrawlUrl(other.detailUrl, baseUrl) === url);
+        if (byUrl) return byUrl;
+    }
+
+    const key = titleKey(yacht);
+    if (key.length < 4) return null;
+    return earlier.find(other =>
+        !claimed.has(other) &&
+        titleKey(other) === key &&
+        !(url && other.detailUrl) &&
+        !(yacht.priceRaw > 0 && other.priceRaw > 0 && yacht.priceRaw !== other.priceRaw)) || null;
+}
+
+/**
+ * Merge the listings every strategy found, strategies in priority order.
+ * A yacht matching a listing already found (see findMergeTarget()) fills
+ * its gaps via mergeYacht(); an unmatched one becomes a new listing, except
+ * that a heuristic strategy only adds listings when no strategy before it
+ * found any, and a single (detail page) strategy only adds to or merges
+ * into a lone listing.
+ * Returns { yachts, contributions } with one
+ * { strategy, found, added, merged, ignored, fields } per strategy, fields
+ * counting how often it supplied each field to a merged listing.
+ */
+function mergeStrategies(strategies, baseUrl) {
+    const yachts = [];
+
+    const contributions = strategies.map(({ name, heuristic = false, single = false, yachts: found }) => {
+        const contribution = { strategy: name, heuristic, found: found.length, added: 0, merged: 0, ignored: 0, fields: {} };
+        const earlier = yachts.slice();
+        const own = [];
+        const claimed = new Set();
+
+        found.forEach(yacht => {
+            recordProvenance(yacht, baseUrl);
+            const target = single
+                ? (earlier.length === 1 ? earlier[0] : null)
+                : findMergeTarget(yacht, { own, earlier, claimed }, baseUrl);
+
+            if (target) {
+                claimed.add(target);
+                contribution.merged++;
+                mergeYacht(target, yacht).forEach(field => {
+                    contribution.fields[field] = (contribution.fields[field] || 0) + 1;
+                });
+            } else if ((heuristic || single) && earlier.length > 0) {
+                contribution.ignored++;
+            } else {
+                yachts.push(yacht);
+                own.push(yacht);
+                contribution.added++;
+            }
+        });
+
+        return contribution;
+    });
+
+    return { yachts, contributions };
+}
+
+// ============================================================================
+// DETAIL PAGE ENRICHMENT
+// ============================================================================
+
+// Fields a detail page may fill in when the listing card left them empty
+const ENRICHABLE_FIELDS = ['price', 'year', 'length', 'type', 'make', 'model', 'location', 'description'];
+
+// Fields tracked in yacht.provenance
+const PROVENANCE_FIELDS = ['title', ...ENRICHABLE_FIELDS, 'images'];
+
+/**
+ * Complete yacht.provenance: each filled field's entry gets its current
+ * value, and the listing source and page url unless it already has them.
+ * Fields set without noteField() get an UNNOTED_FIELD_CONFIDENCE entry
+ * credited to the source; entries of emptied fields are dropped.
+ */
+function recordProvenance(yacht, url) {
+    yacht.provenance = yacht.provenance || {};
+    PROVENANCE_FIELDS.forEach(field => {
+        const value = yacht[field];
+        const filled = Array.isArray(value) ? value.length > 0 : !!value;
+        if (!filled) {
+            delete yacht.provenance[field];
+            return;
+        }
+        const entry = yacht.provenance[field] || { confidence: UNNOTED_FIELD_CONFIDENCE, extractor: yacht.source };
+        yacht.provenance[field] = {
+            ...entry,
+            value: fieldValue(yacht, field),
+            source: entry.source || yacht.source,
+            url: entry.url || url || null
+        };
+    });
+    return yacht;
+}
+
+/**
+ * Parse one listing's detail page into a single yacht record: the
+ * detail-page adapter's reading merged field by field with structured data.
+ */
+function parseDetailPage(html, detailUrl) {
+    const doc = parseHtml(html, detailUrl);
+    setPageLocale(doc);
+    const detailAdapter = SITE_ADAPTERS.find(a => a.name === 'detail-page');
+    const fromPage = detailAdapter.parse(doc, detailUrl)[0] || null;
+    const fromStructured = extractStructuredData(html, detailUrl)[0] || null;
+
+    if (fromStructured) recordProvenance(fromStructured, detailUrl);
+    if (fromPage) recordProvenance(fromPage, detailUrl);
+    if (!fromPage || !fromStructured) {
+        const detail = fromStructured || fromPage;
+        if (detail) {
+            applyTitleDetails(detail);
+            applyTypeByLength(detail);
+            recordProvenance(detail, detailUrl);
+        }
+        return detail;
+    }
+
+    mergeYacht(fromPage, fromStructured);
+    applyTitleDetails(fromPage);
+    applyTypeByLength(fromPage);
+    return recordProvenance(fromPage, detailUrl);
+}
+
+/**
+ * Fill the gaps in a card-level yacht from its detail page HTML.
+ * Card values are kept; the detail gallery is appended to the card images.
+ * Returns the names of the fields the detail page contributed.
+ */
+function enrichYacht(yacht, html, detailUrl) {
+    recordProvenance(yacht, yacht.sourceUrl);
+
+    const detail = parseDetailPage(html, detailUrl);
+    if (!detail) return [];
+
+    const enriched = [];
+    ENRICHABLE_FIELDS.forEach(field => {
+        if (yacht[field] || !detail[field]) return;
+        copyField(yacht, detail, field);
+        enriched.push(field);
+    });
+
+    const newDimensions = unsetEntries(detail.dimensions, yacht.dimensions);
+    if (Object.keys(newDimensions).length > 0) {
+        yacht.dimensions = { ...yacht.dimensions, ...newDimensions };
+        enriched.push('dimensions');
+    }
+
+    // Engine and speed details usually only appear on the detail page
+    const newEngine = { engine: unsetEntries(detail.engine, yacht.engine), speed: unsetEntries(detail.speed, yacht.speed) };
+    if (Object.keys(newEngine.engine).length + Object.keys(newEngine.speed).length > 0) {
+        applyEngine(yacht, newEngine);
+        enriched.push('engine');
+    }
+
+    const newImages = detail.images.filter(src => !yacht.images.includes(src));
+    if (newImages.length > 0) {
+        if (yacht.images.length === 0) yacht.provenance.images = detail.provenance.images;
+        yacht.images = [...yacht.images, ...newImages].slice(0, 20);
+        enriched.push('images');
+    }
+
+    if (enriched.length > 0) {
+        recordProvenance(yacht, yacht.sourceUrl);
+        yacht.confidence.overall = calculateConfidence(yacht);
+        yacht.issues = validateYacht(yacht);
+    }
+    return enriched;
+}
+
+// ============================================================================
+// SELECTOR BUILDING
+// ============================================================================
+
+// Class names that look generated or state-specific make brittle selectors
+function isStableClass(cls) {
+    return cls.length > 1 &&
+        !/\d{3,}/.test(cls) &&
+        !/^(active|current|selected|hover|focus|open|is-|has-|js-)/i.test(cls);
+}
+
+function escapeCssIdent(ident) {
+    return ident
+        .replace(/[^\w-]/g, ch => '\\' + ch)
+        .replace(/^(-?)(\d)/, (m, dash, digit) => `${dash}\\3${digit} `);
+}
+
+// tag.class1.class2 for one element, ignoring unstable classes
+function simpleSelector(el) {
+    const classes = Array.from(el.classList || [])
+        .filter(isStableClass)
+        .map(cls => '.' + escapeCssIdent(cls));
+    return el.tagName.toLowerCase() + classes.join('');
+}
+
+// Selector for one level of the card search, or null if it can't repeat
+function repeatedSelector(node) {
+    const selector = simpleSelector(node);
+    if (selector.includes('.')) return selector;
+    // Class-less repeated children, e.g. ul.results > li
+    return node.parentElement ? `${simpleSelector(node.parentElement)} > ${node.tagName.toLowerCase()}` : null;
+}
+
+/**
+ * Find the listing card around a clicked element. Walks up through the
+ * ancestors that repeat on the page (count >= 2) until one doesn't, then
+ * picks the outermost level holding the most common count - inner levels are
+ * repeated parts of a card (spans, prices), outer ones are rows of cards.
+ * Returns { selector, element, count, candidates } or null; candidates lists
+ * every repeated level, innermost first, so the UI can widen or narrow.
+ */
+function buildCardSelector(el) {
+    const doc = el.ownerDocument;
+    const candidates = [];
+
+    for (let node = el; node && node !== doc.body && node.parentElement; node = node.parentElement) {
+        const selector = repeatedSelector(node);
+        const count = selector ? doc.querySelectorAll(selector).length : 0;
+        if (count >= 2) {
+            candidates.push({ selector, element: node, count });
+        } else if (candidates.length > 0) {
+            break;
+        }
+    }
+
+    if (candidates.length === 0) return null;
+
+    const frequency = new Map();
+    candidates.forEach(c => frequency.set(c.count, (frequency.get(c.count) || 0) + 1));
+    const best = candidates.reduce((pick, c) => (frequency.get(c.count) >= frequency.get(pick.count) ? c : pick));
+
+    return { ...best, candidates };
+}
+
+/**
+ * Shortest selector that finds `el` from `card` with card.querySelector().
+ * Falls back to an exact :scope > ... :nth-of-type path.
+ */
+function buildRelativeSelector(card, el) {
+    if (el === card) return null;
+
+    const path = [];
+    for (let node = el; node && node !== card; node = node.parentElement) {
+        path.unshift(node);
+    }
+    if (path[0].parentElement !== card) return null; // not inside the card
+
+    for (let k = 1; k <= path.length; k++) {
+        const selector = path.slice(path.length - k).map(simpleSelector).join(' ');
+        if (card.querySelector(selector) === el) return selector;
+    }
+
+    // First/last of its kind under a recognisable parent, e.g. a price span after a label span
+    const parent = el.parentElement;
+    for (const position of [':first-of-type', ':last-of-type']) {
+        const selector = `${parent === card ? ':scope' : simpleSelector(parent)} > ${simpleSelector(el)}${position}`;
+        if (card.querySelector(selector) === el) return selector;
+    }
+
+    return ':scope > ' + path.map(node => {
+        const sameTag = Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName);
+        const tag = node.tagName.toLowerCase();
+        return sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag;
+    }).join(' > ');
+}
+
+// ============================================================================
+// CARD INFERENCE
+// ============================================================================
+
+// An amount with a currency marker on either side ("$450,000", "115 000 €",
+// "CHF 1'250'000"), or a price status in place of one
+const CARD_PRICE_REGEX = new RegExp(`(?:${CURRENCY_MARKER_SOURCE})\\s*${PRICE_AMOUNT}|${PRICE_AMOUNT}\\s*(?:${CURRENCY_MARKER_SOURCE})|\\b(?:POA|price on application|sold|under offer)\\b`, 'i');
+
+// Tags that can hold a listing card; inline and form elements never do
+const CARD_TAGS = ['DIV', 'LI', 'ARTICLE', 'SECTION', 'A', 'TR', 'FIGURE'];
+
+// Minimum group score for the inferred cards to be used
+const MIN_INFERENCE_SCORE = 2;
+
+// Set of tag.class shapes inside an element, capped for big cards
+function shapeSignature(el) {
+    const shape = new Set();
+    const nodes = el.querySelectorAll('*');
+    for (let i = 0; i < nodes.length && i < 200; i++) {
+        shape.add(simpleSelector(nodes[i]));
+    }
+    return shape;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    a.forEach(item => { if (b.has(item)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Score a group of sibling elements as listing cards: structural similarity
+ * between members, times how many carry an image, a link, a number and a
+ * price, scaled by group size.
+ */
+function scoreCardGroup(cards) {
+    const sample = cards.slice(0, 10);
+    const shapes = sample.map(shapeSignature);
+
+    let similarity = 0;
+    for (let i = 1; i < shapes.length; i++) {
+        similarity += jaccard(shapes[i - 1], shapes[i]);
+    }
+    similarity = shapes.length > 1 ? similarity / (shapes.length - 1) : 0;
+
+    const features = { image: 0, link: 0, number: 0, price: 0 };
+    let textLength = 0;
+    sample.forEach(card => {
+        const text = card.textContent || '';
+        textLength += text.length;
+        if (card.querySelector('img, [style*="url"]')) features.image++;
+        if (card.matches('a[href]') || card.querySelector('a[href]')) features.link++;
+        if (/\d{2,}/.test(text)) features.number++;
+        if (CARD_PRICE_REGEX.test(text)) features.price++;
+    });
+    Object.keys(features).forEach(key => { features[key] = features[key] / sample.length; });
+
+    // Same bounds as extractFromGenericCard: too little or too much text isn't a card
+    const avgText = textLength / sample.length;
+    const sizeFactor = avgText < 20 || avgText > 5000 ? 0 : 1;
+
+    const score = similarity * sizeFactor * Math.log2(cards.length + 1) *
+        (features.image + features.link + features.number * 0.5 + features.price);
+
+    return {
+        score: Math.round(score * 100) / 100,
+        similarity: Math.round(similarity * 100) / 100,
+        features
+    };
+}
+
+// Selector for a group of sibling cards, scoped to their container when needed
+function cardGroupSelector(container, cards) {
+    const doc = container.ownerDocument;
+    const own = simpleSelector(cards[0]);
+    if (own.includes('.') && doc.querySelectorAll(own).length === cards.length) return own;
+    return `${simpleSelector(container)} > ${own}`;
+}
+
+/**
+ * Pick the field selector (relative to the card) that yields a value in the
+ * most cards. `finder` locates the field in one card; candidates come from
+ * the first few cards and are checked against all of them, counting only
+ * values `accept` agrees with.
+ */
+function inferFieldRule(cards, finder, rule = {}, accept = () => true) {
+    const candidates = new Set();
+    cards.slice(0, 10).forEach(card => {
+        const el = finder(card);
+        const selector = el && buildRelativeSelector(card, el);
+        if (selector) candidates.add(selector);
+    });
+
+    let best = null;
+    let bestHits = 0;
+    candidates.forEach(selector => {
+        const hits = cards.filter(card => {
+            const el = card.querySelector(selector);
+            const value = el && readRuleValue(el, rule, rule.field);
+            return value && accept(value);
+        }).length;
+        if (hits > bestHits) {
+            best = selector;
+            bestHits = hits;
+        }
+    });
+
+    if (!best || bestHits < cards.length * 0.5) return null;
+    const { field, ...rest } = rule;
+    return { selector: best, ...rest };
+}
+
+function isTitleText(text) {
+    const t = cleanText(text);
+    return t.length >= 5 && t.length <= 150 && !/^[$€£]/.test(t);
+}
+
+function isPriceText(text) {
+    return text.length < 80 && CARD_PRICE_REGEX.test(text);
+}
+
+function findTitleElement(card) {
+    const candidates = card.querySelectorAll('h1, h2, h3, h4, h5, h6, a[href]');
+    return Array.from(candidates).find(el => isTitleText(el.textContent));
+}
+
+function findPriceElement(card) {
+    // Innermost element whose own text looks like a price
+    return Array.from(card.querySelectorAll('*')).find(el => {
+        return isPriceText(el.textContent || '') &&
+            !Array.from(el.children).some(child => CARD_PRICE_REGEX.test(child.textContent));
+    });
+}
+
+function inferFieldRules(cards) {
+    const fields = {};
+
+    const title = inferFieldRule(cards, findTitleElement, { confidence: 65 }, isTitleText);
+    if (title) {
+        fields.title = title;
+        const link = inferFieldRule(cards, card => {
+            const el = card.querySelector(title.selector);
+            return el && (el.closest('a[href]') || el.querySelector('a[href]'));
+        }, { attr: 'href', field: 'detailUrl' });
+        if (link) fields.detailUrl = link;
+    }
+
+    const price = inferFieldRule(cards, findPriceElement, { confidence: 70 }, isPriceText);
+    if (price) fields.price = price;
+
+    const images = inferFieldRule(cards, card => Array.from(card.querySelectorAll('img')).find(isValidImage),
+        { attr: 'src', confidence: 70, field: 'images' }) ||
+        inferFieldRule(cards, card => card.querySelector('[style*="url"]'),
+            { attr: 'background', confidence: 70, field: 'images' });
+    if (images) fields.images = images;
+
+    const location = inferFieldRule(cards, card => card.querySelector('[class*="location"], [class*="port"], [class*="city"]'), { confidence: 60 });
+    if (location) fields.location = location;
+
+    return fields;
+}
+
+/**
+ * Find the most card-like group of repeated siblings on the page and infer
+ * field selectors inside it. The result carries a ready-made adapter config
+ * so a good inference can be promoted to docs/adapters/ as-is.
+ * Returns null when nothing scores above MIN_INFERENCE_SCORE.
+ */
+function inferListingCards(doc, sourceUrl) {
+    const groups = [];
+
+    if (!doc.body) return null;
+
+    [doc.body, ...doc.body.querySelectorAll('*')].forEach(container => {
+        if (container.children.length < 2 || container.closest('nav, header, footer')) return;
+
+        const bySelector = new Map();
+        Array.from(container.children).forEach(child => {
+            if (!CARD_TAGS.includes(child.tagName)) return;
+            const key = simpleSelector(child);
+            if (!bySelector.has(key)) bySelector.set(key, []);
+            bySelector.get(key).push(child);
+        });
+
+        bySelector.forEach(cards => {
+            if (cards.length < 2 || cards.length > 200) return;
+            groups.push({ container, cards, ...scoreCardGroup(cards) });
+        });
+    });
+
+    groups.sort((a, b) => b.score - a.score);
+    const best = groups[0];
+    if (!best || best.score < MIN_INFERENCE_SCORE) return null;
+
+    const selector = cardGroupSelector(best.container, best.cards);
+    let host = 'inferred';
+    try { host = new URL(sourceUrl).hostname.replace(/^www\./, ''); } catch { }
+
+    return {
+        selector,
+        cardCount: best.cards.length,
+        score: best.score,
+        similarity: best.similarity,
+        features: best.features,
+        // Runners-up help when the winner is a sidebar or gallery
+        alternatives: groups.slice(1, 4).map(g => ({
+            selector: cardGroupSelector(g.container, g.cards),
+            cardCount: g.cards.length,
+            score: g.score
+        })),
+        config: {
+            name: host.replace(/\./g, '-'),
+            match: { urlIncludes: [host] },
+            card: selector,
+            fields: inferFieldRules(best.cards),
+            specsFrom: [':scope']
+        }
+    };
+}
+
+// ============================================================================
+// LINK DISCOVERY
+// ============================================================================
+
+/**
+ * Discover links to inventory/boat listing pages from a given page
+ */
+function discoverInventoryLinks(html, baseUrl) {
+    const doc = parseHtml(html, baseUrl);
+    const language = detectLanguage(doc);
+
+    const inventoryPatterns = [
+        /\/boats?\/?$/i,
+        /\/yachts?\/?$/i,
+        /\/inventory\/?$/i,
+        /\/listings?\/?$/i,
+        /\/for-?sale\/?$/i,
+        /\/brokerage\/?$/i,
+        /\/used-?(boats?|yachts?)/i,
+        /\/new-?(boats?|yachts?)/i,
+        /\/motor-?yacht/i,
+        /\/sail(ing)?-?yacht/i,
+        /\/search/i,
+        /\/browse/i,
+        /\/fleet/i,
+        /\/vessels?/i,
+        /\/results\/?$/i,  // Network Yacht Brokers pattern
+        /\/boats[_-]for[_-]sale/i,
+        // The page language's inventory paths: /bateaux/, /gebrauchtboote/
+        ...LANGUAGES[language].paths.map(path => new RegExp(`\\/${escapeRegex(path)}\\/?$`, 'i'))
+    ];
+
+    const inventoryKeywords = languageTerms(language, 'links');
+
+    const links = doc.querySelectorAll('a[href]');
+    const found = new Map(); // url -> score
+
+    const base = new URL(baseUrl);
+
+    links.forEach(link => {
+        let href = link.href || link.getAttribute('href');
+        if (!href || href.startsWith('#') || href.startsWith('javascript:')) return;
+
+        // Resolve relative URLs
+        try {
+            href = new URL(href, baseUrl).href;
+        } catch {
+            return;
+        }
+
+        // Must be same domain
+        try {
+            const linkUrl = new URL(href);
+            if (linkUrl.hostname !== base.hostname) return;
+        } catch {
+            return;
+        }
+
+        // Skip non-html resources
+        if (/\.(jpg|png|gif|pdf|doc|css|js)$/i.test(href)) return;
+
+        // Skip the current page
+        if (href === baseUrl || href === baseUrl + '/') return;
+
+        let score = 0;
+        const linkText = (link.textContent || '').toLowerCase().trim();
+        const hrefLower = href.toLowerCase();
+
+        // Check URL patterns
+        for (const pattern of inventoryPatterns) {
+            if (pattern.test(hrefLower)) {
+                score += 10;
+                break;
+            }
+        }
+
+        // Check link text
+        for (const keyword of inventoryKeywords) {
+            if (linkText.includes(keyword)) {
+                score += 5;
+                break;
+            }
+        }
+
+        // Bonus for nav links (more likely to be main inventory)
+        if (link.closest('nav, header, .nav, .menu, .navigation')) {
+            score += 3;
+        }
+
+        // Bonus for prominent links
+        if (link.closest('h1, h2, h3, .hero, .banner, .cta')) {
+            score += 2;
+        }
+
+        if (score > 0) {
+            const existing = found.get(href) || 0;
+            found.set(href, Math.max(existing, score));
+        }
+    });
+
+    // Sort by score and return top results
+    return Array.from(found.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([url]) => url)
+        .slice(0, 10);
+}
+
+/**
+ * Discover pagination links (page 2, page 3, next, etc.)
+ */
+function discoverPaginationLinks(html, baseUrl) {
+    const doc = parseHtml(html, baseUrl);
+
+    const paginationUrls = [];
+    const base = new URL(baseUrl);
+
+    // Look for pagination containers
+    const paginationContainers = doc.querySelectorAll(
+        '.pagination, .paging, .page-numbers, .wp-pagenavi, nav[aria-label*="pagination"], [class*="pagination"]'
+    );
+
+    // If we find a pagination container, get links from it
+    if (paginationContainers.length > 0) {
+        paginationContainers.forEach(container => {
+            const links = container.querySelectorAll('a[href]');
+            links.forEach(link => {
+                const text = link.textContent.trim();
+                const href = link.href || link.getAttribute('href');
+
+                // Skip "previous" and current page
+                if (/prev|previous|«|‹/i.test(text)) return;
+                if (link.classList.contains('current') || link.classList.contains('active')) return;
+
+                // Accept "next"/"last" in any language, numbered pages (2 and up), or ">", "»"
+                if (/^(?:[2-9]|\d{2,})$|^›$|^»$/i.test(text) || NEXT_PAGE_REGEX.test(text) || /\/page\/\d+/i.test(href)) {
+                    try {
+                        const fullUrl = new URL(href, baseUrl).href;
+                        if (fullUrl.includes(base.hostname) && !paginationUrls.includes(fullUrl)) {
+                            paginationUrls.push(fullUrl);
+                        }
+                    } catch { }
+                }
+            });
+        });
+    }
+
+    // Fallback: look for common pagination URL patterns
+    if (paginationUrls.length === 0) {
+        const allLinks = doc.querySelectorAll('a[href]');
+        allLinks.forEach(link => {
+            const href = link.href || link.getAttribute('href');
+            if (!href) return;
+
+            // Match /page/2, ?page=2, &p=2 patterns
+            if (/[?&/]page[=/]?\d+/i.test(href) || /\/\d+\/?$/.test(href)) {
+                try {
+                    const fullUrl = new URL(href, baseUrl).href;
+                    if (fullUrl.includes(base.hostname) &&
+                        fullUrl !== baseUrl &&
+                        !paginationUrls.includes(fullUrl)) {
+                        paginationUrls.push(fullUrl);
+                    }
+                } catch { }
+            }
+        });
+    }
+
+    log('Pagination URLs found:', paginationUrls);
+    return paginationUrls;
+}
+
+// Pagination wording in every language of LANGUAGES
+const NEXT_PAGE_REGEX = new RegExp(`^(?:${termsSource(allLanguageTerms('next'))})$`, 'i');
+const PAGE_OF_REGEX = new RegExp(`(?<!\\p{L})(?:${termsSource(allLanguageTerms('page'))})\\s+(\\d{1,4})\\s*(?:${termsSource(allLanguageTerms('of'))}|\\/)\\s*(\\d{1,4})\\b`, 'iu');
+const RESULT_RANGE_REGEX = new RegExp(`\\b(\\d{1,5})\\s*[-–]\\s*(\\d{1,5})\\s+(?:${termsSource(allLanguageTerms('of'))})\\s+([\\d,.]{1,7})\\b`, 'i');
+
+// Query parameters holding a page number or a result offset
+const PAGE_PARAMS = ['page', 'paged', 'pg', 'pagenum', 'pagenumber', 'page_num', 'currentpage'];
+const OFFSET_PARAMS = ['start', 'offset', 'from', 'skip', 'startrow', 'first'];
+
+/**
+ * Work out where a URL sits in a paginated listing. Returns
+ * { template, value, kind } where template has a {page} or {offset}
+ * placeholder, or null when the URL carries no page number.
+ */
+function paginationTemplate(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+
+    const pathMatch = parsed.pathname.match(/^(.*\/page\/)(\d+)(\/?)$/i);
+    if (pathMatch) {
+        parsed.pathname = `${pathMatch[1]}__PAGE__${pathMatch[3]}`;
+        return { template: parsed.href.replace('__PAGE__', '{page}'), value: parseInt(pathMatch[2]), kind: 'page' };
+    }
+
+    for (const [key, value] of parsed.searchParams.entries()) {
+        const name = key.toLowerCase();
+        if (!/^\d+$/.test(value)) continue;
+        const kind = PAGE_PARAMS.includes(name) ? 'page' : OFFSET_PARAMS.includes(name) ? 'offset' : null;
+        if (!kind) continue;
+
+        parsed.searchParams.set(key, '__PAGE__');
+        return { template: parsed.href.replace('__PAGE__', `{${kind}}`), value: parseInt(value), kind };
+    }
+    return null;
+}
+
+/**
+ * Text of an element with a space between text nodes, so adjacent blocks
+ * ("of 60</p><a>2") don't run together the way textContent does.
+ */
+function spacedText(root) {
+    if (!root) return '';
+    const walker = root.ownerDocument.createTreeWalker(root, 4 /* NodeFilter.SHOW_TEXT */);
+    const parts = [];
+    while (walker.nextNode()) {
+        const parent = walker.currentNode.parentNode;
+        if (parent && /^(SCRIPT|STYLE|NOSCRIPT)$/.test(parent.nodeName)) continue;
+        parts.push(walker.currentNode.nodeValue);
+    }
+    return parts.join(' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Build the URL of page n (1-based) from a pagination template.
+ */
+function buildPageUrl(pagination, n) {
+    if (pagination.kind === 'offset') {
+        return pagination.template.replace('{offset}', pagination.offsetStart + (n - 1) * pagination.step);
+    }
+    return pagination.template.replace('{page}', n);
+}
+
+/**
+ * Detect how a listing is paginated: the visible page links, the URL
+ * template behind them (/page/N/, ?page=N or an offset parameter), the
+ * current page and the total page count from the last page link, a
+ * "page 1 of 14" label or a "showing 1-20 of 280" result count.
+ *
+ * Returns { current, total, kind, template, step, links, urls, label }
+ * where urls is every other page of the listing synthesized from the
+ * template (capped at CONFIG.SCAN_ALL_MAX_PAGES) and links the pages to
+ * follow without a full scan: the page links found, else the first two urls.
+ */
+function detectPagination(html, baseUrl) {
+    const doc = parseHtml(html, baseUrl);
+    const links = discoverPaginationLinks(html, baseUrl);
+    const host = new URL(baseUrl).hostname;
+
+    // Every same-host link that carries a page number, grouped by template
+    const groups = new Map();
+    const addCandidate = href => {
+        let url;
+        try {
+            url = new URL(href, baseUrl);
+        } catch {
+            return;
+        }
+        if (url.hostname !== host) return;
+        const found = paginationTemplate(url.href);
+        if (!found) return;
+        if (!groups.has(found.template)) groups.set(found.template, { ...found, values: new Set() });
+        groups.get(found.template).values.add(found.value);
+    };
+    // Prefer the pagination widget; fall back to any link on the page
+    links.forEach(addCandidate);
+    if (groups.size === 0) {
+        doc.querySelectorAll('a[href]').forEach(link => addCandidate(link.href || link.getAttribute('href')));
+    }
+
+    const self = paginationTemplate(baseUrl);
+    const ranked = Array.from(groups.values()).sort((a, b) =>
+        (b.values.size - a.values.size) || ((a.kind === 'page' ? 0 : 1) - (b.kind === 'page' ? 0 : 1)));
+    const group = ranked.find(g => self && g.template === self.template) || ranked[0] || null;
+
+    const pagination = { current: 1, total: 1, kind: null, template: null, step: 1, offsetStart: 0, links, urls: [], label: '' };
+
+    if (group) {
+        const values = Array.from(group.values);
+        if (self && self.template === group.template) values.push(self.value);
+        pagination.kind = group.kind;
+        pagination.template = group.template;
+
+        if (group.kind === 'offset') {
+            const sorted = Array.from(new Set([...values, 0])).sort((a, b) => a - b);
+            const gaps = sorted.slice(1).map((v, i) => v - sorted[i]).filter(gap => gap > 0);
+            pagination.step = gaps.length > 0 ? Math.min(...gaps) : 1;
+            pagination.offsetStart = sorted.some(v => v % pagination.step === 1) ? 1 : 0;
+        }
+
+        const toPage = value => group.kind === 'offset'
+            ? Math.round((value - pagination.offsetStart) / pagination.step) + 1
+            : value;
+        pagination.total = Math.max(1, ...values.map(toPage));
+        if (self && self.template === group.template) pagination.current = toPage(self.value);
+    }
+
+    // Numbered links whose URL doesn't reveal the page (e.g. JS handlers)
+    doc.querySelectorAll('.pagination a, .page-numbers, .wp-pagenavi a, nav[aria-label*="pagination"] a, [class*="pagination"] a')
+        .forEach(link => {
+            const text = link.textContent.trim();
+            if (/^\d{1,4}$/.test(text)) pagination.total = Math.max(pagination.total, parseInt(text));
+        });
+
+    // "Page 1 of 14", "Page 1 / 14", "Seite 1 von 14"
+    const text = spacedText(doc.body);
+    const pageOf = text.match(PAGE_OF_REGEX);
+    if (pageOf) {
+        pagination.current = parseInt(pageOf[1]);
+        pagination.total = Math.max(pagination.total, parseInt(pageOf[2]));
+    }
+
+    // "Showing 1-20 of 280 results", "1-20 sur 280"
+    const showing = text.match(RESULT_RANGE_REGEX);
+    if (showing) {
+        const perPage = parseInt(showing[2]) - parseInt(showing[1]) + 1;
+        const results = parseInt(showing[3].replace(/[,.]/g, ''));
+        if (perPage > 0 && results >= perPage) {
+            pagination.total = Math.max(pagination.total, Math.ceil(results / perPage));
+            if (pagination.kind === 'offset' && pagination.step === 1) pagination.step = perPage;
+        }
+    }
+
+    if (pagination.template) {
+        const last = Math.min(pagination.total, CONFIG.SCAN_ALL_MAX_PAGES);
+        for (let n = 1; n <= last; n++) {
+            // Page 1 is usually the bare listing URL we are already on
+            if (n === pagination.current || (n === 1 && !self)) continue;
+            pagination.urls.push(buildPageUrl(pagination, n));
+        }
+    } else {
+        pagination.urls = links.slice();
+    }
+
+    // Offset links ("?start=20") are rarely recognisable as page links
+    if (pagination.links.length === 0) pagination.links = pagination.urls.slice(0, 2);
+
+    pagination.label = pagination.total > 1 ? `page ${pagination.current} of ${pagination.total}` : '';
+    log('Pagination detected:', pagination.label || 'single page', pagination.template || '');
+    return pagination;
+}
+
+// ============================================================================
+// CRAWL PLANNING
+// ============================================================================
+
+// Query parameters that never change page content
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga)$/i;
+
+/**
+ * Key used for the visited set: no fragment, no tracking parameters,
+ * sorted query, no "www." and no trailing slash. Returns null for
+ * non-http(s) or unparseable URLs.
+ */
+function normalizeCrawlUrl(url, baseUrl) {
+    let parsed;
+    try {
+        parsed = new URL(url, baseUrl);
+    } catch {
+        return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const params = Array.from(parsed.searchParams.entries())
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+    const host = parsed.host.replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '') || '/';
+
+    return `${parsed.protocol}//${host}${path}${query}`;
+}
+
+/**
+ * Queue-driven crawler shared by inventory, pagination and detail pages.
+ *
+ * options.fetchPage(url, entry) resolves to HTML; options.handlePage(entry, html,
+ * planner) parses it and may enqueue follow-up pages. options.onProgress
+ * (stats, entries) fires whenever an entry changes state. Limits default to
+ * the CRAWL_* values in CONFIG.
+ */
+function createCrawlPlanner(options) {
+    const settings = {
+        maxPages: CONFIG.CRAWL_MAX_PAGES,
+        maxDepth: CONFIG.CRAWL_MAX_DEPTH,
+        hostConcurrency: CONFIG.CRAWL_HOST_CONCURRENCY,
+        delayMs: CONFIG.CRAWL_DELAY_MS,
+        onProgress: () => {},
+        ...options
+    };
+
+    const entries = new Map(); // normalized url -> entry
+    const queue = [];
+    const hosts = new Map(); // hostname -> { active, nextStart }
+    const inFlight = new Set();
+    let accepted = 0;
+
+    function stats() {
+        const counts = { queued: 0, fetching: 0, done: 0, failed: 0, skipped: 0, total: entries.size };
+        entries.forEach(entry => { counts[entry.status]++; });
+        return counts;
+    }
+
+    function notify() {
+        settings.onProgress(stats(), Array.from(entries.values()));
+    }
+
+    function hostState(entry) {
+        const host = new URL(entry.url).hostname;
+        if (!hosts.has(host)) hosts.set(host, { active: 0, nextStart: 0 });
+        return hosts.get(host);
+    }
+
+    /**
+     * Add a page to the crawl. meta: { kind, depth, parent, data }.
+     * Returns the new entry, or null if the URL was already seen or invalid.
+     * Pages over the depth or page budget are recorded as skipped.
+     */
+    function enqueue(url, meta = {}) {
+        const key = normalizeCrawlUrl(url, meta.parent);
+        if (!key || entries.has(key)) return null;
+
+        const entry = {
+            url: new URL(url, meta.parent).href,
+            key,
+            kind: meta.kind || 'page',
+            depth: meta.depth || 0,
+            parent: meta.parent || null,
+            data: meta.data || null,
+            status: 'queued',
+            error: null
+        };
+
+        if (entry.depth > settings.maxDepth) {
+            entry.status = 'skipped';
+            entry.error = `deeper than ${settings.maxDepth}`;
+        } else if (accepted >= settings.maxPages) {
+            entry.status = 'skipped';
+            entry.error = `page budget of ${settings.maxPages} reached`;
+        } else {
+            accepted++;
+            queue.push(entry);
+        }
+
+        entries.set(key, entry);
+        notify();
+        return entry.status === 'queued' ? entry : null;
+    }
+
+    function start(entry) {
+        const host = hostState(entry);
+        host.active++;
+        host.nextStart = Date.now() + settings.delayMs;
+        entry.status = 'fetching';
+        notify();
+
+        const task = Promise.resolve()
+            .then(() => settings.fetchPage(entry.url, entry))
+            .then(html => settings.handlePage(entry, html, planner))
+            .then(() => { entry.status = 'done'; })
+            .catch(e => {
+                entry.status = 'failed';
+                entry.error = e.message;
+                log(`Crawl failed for ${entry.url}:`, e.message);
+            })
+            .then(() => {
+                host.active--;
+                inFlight.delete(task);
+                notify();
+            });
+        inFlight.add(task);
+    }
+
+    // Run until the queue drains; pages enqueued by handlers are picked up
+    async function run() {
+        while (queue.length > 0 || inFlight.size > 0) {
+            const now = Date.now();
+            const index = queue.findIndex(entry => {
+                const host = hostState(entry);
+                return host.active < settings.hostConcurrency && host.nextStart <= now;
+            });
+
+            if (index !== -1) {
+                start(queue.splice(index, 1)[0]);
+                continue;
+            }
+
+            // Wait for a politeness delay to expire or a fetch to finish
+            const waits = queue
+                .map(hostState)
+                .filter(host => host.active < settings.hostConcurrency)
+                .map(host => host.nextStart - now);
+            const timers = waits.length > 0
+                ? [new Promise(resolve => setTimeout(resolve, Math.max(10, Math.min(...waits))))]
+                : [];
+            await Promise.race([...inFlight, ...timers]);
+        }
+        return stats();
+    }
+
+    const planner = {
+        settings,
+        enqueue,
+        run,
+        stats,
+        get: url => entries.get(normalizeCrawlUrl(url)) || null,
+        entries: () => Array.from(entries.values())
+    };
+    return planner;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+return {
+    CONFIG,
+    YACHT_KEYWORDS,
+    SITE_SIGNALS,
+    PRICE_PATTERNS,
+    PRICE_STATUS_LABELS,
+    ENGINE_DRIVE_LABELS,
+    SITE_ADAPTERS,
+    ADAPTER_CONFIGS,
+    createConfigAdapter,
+    validateAdapterConfig,
+    registerAdapterConfig,
+    setDomParser,
+    parseHtml,
+    parseYachtListings,
+    validateYachtSite,
+    visibleText,
+    extractStructuredData,
+    extractEmbeddedState,
+    extractEmbeddedListings,
+    discoverJsonEndpoints,
+    parseJsonInventory,
+    discoverInventoryLinks,
+    discoverPaginationLinks,
+    detectPagination,
+    buildPageUrl,
+    normalizeCrawlUrl,
+    createCrawlPlanner,
+    deduplicateYachts,
+    parseDetailPage,
+    enrichYacht,
+    recordProvenance,
+    noteField,
+    fieldConfidence,
+    calculateConfidence,
+    validateYacht,
+    createEmptyYacht,
+    extractFromGenericCard,
+    extractSpecs,
+    extractSpecRows,
+    applySpecRows,
+    SPEC_LABELS,
+    parseNumber,
+    parseLength,
+    parseWeight,
+    extractDimensions,
+    applyDimensions,
+    formatDimension,
+    extractEngine,
+    applyEngine,
+    formatEngine,
+    extractPrice,
+    extractPrices,
+    classifyPrice,
+    priceStatus,
+    buildPrice,
+    applyPrice,
+    formatPrice,
+    COUNTRIES,
+    GAZETTEER,
+    registerPlace,
+    parseLocation,
+    formatLocation,
+    applyLocation,
+    distanceKm,
+    VESSEL_TYPES,
+    classifyType,
+    normalizeType,
+    typeParent,
+    typeLabel,
+    typeMatches,
+    typeOptions,
+    applyTypeByLength,
+    BUILDER_CATALOGUE,
+    registerBuilder,
+    parseYachtTitle,
+    applyTitleDetails,
+    setExchangeRates,
+    getExchangeRates,
+    convertPrice,
+    normalizedPrice,
+    isPlausiblePrice,
+    isValidImage,
+    resolveUrl,
+    cleanText,
+    buildCardSelector,
+    buildRelativeSelector,
+    inferListingCards,
+    log
+};
+
+}));
@@ -6,7 +6,7 @@ const yachtListings = [
         price: 2850000,
         year: 2023,
         length: 68,
-        type: "motor",
+        type: "flybridge",
         location: "Miami, FL",
         image: "https://images.unsplash.com/photo-1567899378494-47b22a2ae96a?w=600&h=400&fit=crop",
         badge: "featured"
@@ -39,7 +39,7 @@ const yachtListings = [
         price: 695000,
         year: 2020,
         length: 46,
-        type: "catamaran",
+        type: "sail-cat",
         location: "Annapolis, MD",
         image: "https://images.unsplash.com/photo-1500917293891-ef795e70e1f6?w=600&h=400&fit=crop",
         badge: null
@@ -47,10 +47,12 @@ const yachtListings = [
     {
         id: 5,
         title: "2019 Princess V78",
-        price: 3200000,
+        price: 2850000,
+        currency: "EUR",
         year: 2019,
-        length: 78,
-        type: "motor",
+        length: 23.8,
+        lengthUnit: "m",
+        type: "express",
         location: "Monaco",
         image: "https://images.unsplash.com/photo-1569263979104-865ab7cd8d13?w=600&h=400&fit=crop",
         badge: "featured"
@@ -69,10 +71,11 @@ const yachtListings = [
     {
         id: 7,
         title: "2018 Ferretti 850",
-        price: 4500000,
+        price: 3950000,
+        currency: "EUR",
         year: 2018,
         length: 85,
-        type: "superyacht",
+        type: "motor-superyacht",
         location: "Cannes, France",
         image: "https://images.unsplash.com/photo-1559494007-9f5847c49d94?w=600&h=400&fit=crop",
         badge: null
@@ -83,16 +86,52 @@ const yachtListings = [
         price: 750000,
         year: 2022,
         length: 45,
-        type: "catamaran",
+        type: "sail-cat",
         location: "St. Thomas, USVI",
         image: "https://images.unsplash.com/photo-1586456298178-9e9f3a8a6a5b?w=600&h=400&fit=crop",
         badge: null
     }
 ];
 
-// Format price with commas and dollar sign
-function formatPrice(price) {
-    return '$' + price.toLocaleString('en-US');
+// Format price in the listing's own currency (USD unless stated)
+function formatPrice(listing) {
+    return YachtParser.formatPrice(listing.price, listing.currency || 'USD');
+}
+
+// Price in the base currency, so filters and sorting compare like with like
+function basePrice(listing) {
+    return YachtParser.convertPrice(listing.price, listing.currency || 'USD') ?? listing.price;
+}
+
+// Unit lengths are shown in; the length filter buckets are in feet either way
+let lengthUnit = 'ft';
+let shownListings = yachtListings;
+
+// Length in both units (listings are in feet unless lengthUnit says "m")
+function listingLength(listing) {
+    return YachtParser.parseLength(String(listing.length), { defaultUnit: listing.lengthUnit || 'ft' });
+}
+
+function formatLength(listing) {
+    const length = listingLength(listing);
+    return lengthUnit === 'm' ? `${length.m.toFixed(1)}m` : `${Math.round(length.ft)}ft`;
+}
+
+// Place searched with "Near", as { lat, lon }; null when none or unknown
+let nearPoint = null;
+
+const KM_PER_MILE = 1.609344;
+
+// Listing location resolved against the parser's gazetteer
+function listingPoint(listing) {
+    if (!('point' in listing)) listing.point = YachtParser.parseLocation(listing.location);
+    return listing.point;
+}
+
+// Miles from the searched place, Infinity when either end is unknown
+function listingDistance(listing) {
+    const point = listingPoint(listing);
+    return nearPoint && point ? YachtParser.distanceKm(nearPoint, point) / KM_PER_MILE : Infinity;
 }
 
 // Create listing card HTML
@@ -107,13 +146,13 @@ function createListingCard(listing) {
                  onerror="this.src='https://via.placeholder.com/600x400/e5e7eb/9ca3af?text=No+Image'">
             <div class="listing-content">
                 ${badgeHTML}
-                <div class="listing-price">${formatPrice(listing.price)}</div>
+                <div class="listing-price">${formatPrice(listing)}</div>
                 <h3 class="listing-title">${listing.title}</h3>
                 <div class="listing-specs">
                     <span class="listing-spec">📅 ${listing.year}</span>
-                    <span class="listing-spec">📏 ${listing.length}ft</span>
+                    <span class="listing-spec">📏 ${formatLength(listing)}</span>
                 </div>
-                <div class="listing-location">📍 ${listing.location}</div>
+                <div class="listing-location">📍 ${listing.location}${isFinite(listingDistance(listing)) ? ` · ${Math.round(listingDistance(listing))} mi` : ''}</div>
             </div>
         </a>
     `;
@@ -121,6 +160,7 @@ function createListingCard(listing) {
 
 // Render all listings
 function renderListings(listings) {
+    shownListings = listings;
     const grid = document.getElementById('listings-grid');
     grid.innerHTML = listings.map(createListingCard).join('');
 }
@@ -131,23 +171,30 @@ function filterListings() {
     const minPrice = parseInt(document.getElementById('min-price').value) || 0;
     const maxPrice = parseInt(document.getElementById('max-price').value) || Infinity;
     const length = document.getElementById('length').value;
+    const radius = parseInt(document.getElementById('radius').value) || Infinity;
+    nearPoint = YachtParser.parseLocation(document.getElementById('near').value);
 
     let filtered = yachtListings.filter(listing => {
-        // Type filter
-        if (type && listing.type !== type) return false;
+        // Type filter (a parent type such as "motor" includes its subtypes)
+        if (!YachtParser.typeMatches(listing.type, type)) return false;
         
-        // Price filter
-        if (listing.price < minPrice || listing.price > maxPrice) return false;
+        // Price filter (the select values are in the base currency)
+        const price = basePrice(listing);
+        if (price < minPrice || price > maxPrice) return false;
         
         // Length filter
         if (length) {
             const len = parseInt(length);
-            if (len === 30 && listing.length > 30) return false;
-            if (len === 50 && (listing.length <= 30 || listing.length > 50)) return false;
-            if (len === 80 && (listing.length <= 50 || listing.length > 80)) return false;
-            if (len === 100 && (listing.length <= 80 || listing.length > 100)) return false;
-            if (len === 101 && listing.length <= 100) return false;
+            const feet = listingLength(listing).ft;
+            if (len === 30 && feet > 30) return false;
+            if (len === 50 && (feet <= 30 || feet > 50)) return false;
+            if (len === 80 && (feet <= 50 || feet > 80)) return false;
+            if (len === 100 && (feet <= 80 || feet > 100)) return false;
+            if (len === 101 && feet <= 100) return false;
         }
+
+        // Distance filter (ignored until "Near" names a known place)
+        if (nearPoint && radius !== Infinity && listingDistance(listing) > radius) return false;
         
         return true;
     });
@@ -161,16 +208,19 @@ function sortListings(sortBy) {
     
     switch(sortBy) {
         case 'price-low':
-            sorted.sort((a, b) => a.price - b.price);
+            sorted.sort((a, b) => basePrice(a) - basePrice(b));
             break;
         case 'price-high':
-            sorted.sort((a, b) => b.price - a.price);
+            sorted.sort((a, b) => basePrice(b) - basePrice(a));
             break;
         case 'newest':
             sorted.sort((a, b) => b.year - a.year);
             break;
         case 'length':
-            sorted.sort((a, b) => b.length - a.length);
+            sorted.sort((a, b) => listingLength(b).ft - listingLength(a).ft);
+            break;
+        case 'distance':
+            sorted.sort((a, b) => listingDistance(a) - listingDistance(b));
             break;
         default:
             // Featured first
@@ -182,6 +232,11 @@ function sortListings(sortBy) {
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
+    // Type options from the shared vessel type taxonomy
+    document.getElementById('type').insertAdjacentHTML('beforeend', YachtParser.typeOptions()
+        .map(option => `<option value="${option.value}">${'&nbsp;&nbsp;&nbsp;'.repeat(option.depth)}${option.label}</option>`)
+        .join(''));
+
     // Render initial listings
     renderListings(yachtListings);
 
@@ -193,6 +248,15 @@ document.addEventListener('DOMContentLoaded', () => {
         sortListings(e.target.value);
     });
 
+    // Length units for the cards and the length filter labels
+    document.getElementById('length-unit').addEventListener('change', (e) => {
+        lengthUnit = e.target.value;
+        document.querySelectorAll('#length option[data-ft]').forEach(option => {
+            option.textContent = option.dataset[lengthUnit];
+        });
+        renderListings(shownListings);
+    });
+
     // Load more button (just an alert for demo)
     document.getElementById('load-more-btn').addEventListener('click', () => {
         alert('In a real application, this would load more listings from the server.');
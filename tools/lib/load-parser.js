@@ -0,0 +1,38 @@
+/**
+ * Load the browser parser core into Node with jsdom as the DOM shim.
+ * Shared by the command-line tools in this folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const YachtParser = require('../../docs/parser/yacht-parser.js');
+
+const ADAPTERS_DIR = path.join(__dirname, '..', '..', 'docs', 'adapters');
+
+// Register the JSON adapter configs listed in docs/adapters/manifest.json,
+// the same set list-yacht.html loads at runtime
+function loadRuntimeAdapters() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ADAPTERS_DIR, 'manifest.json'), 'utf8'));
+    for (const file of manifest.adapters || []) {
+        const config = JSON.parse(fs.readFileSync(path.join(ADAPTERS_DIR, file), 'utf8'));
+        YachtParser.registerAdapterConfig(config);
+    }
+}
+
+function loadParser({ debug = false } = {}) {
+    let JSDOM;
+    try {
+        ({ JSDOM } = require('jsdom'));
+    } catch (e) {
+        console.error('jsdom is required to run the parser in Node: npm install jsdom');
+        process.exit(1);
+    }
+
+    YachtParser.setDomParser(new JSDOM('').window.DOMParser);
+    YachtParser.CONFIG.DEBUG = debug;
+    loadRuntimeAdapters();
+    return YachtParser;
+}
+
+module.exports = { loadParser };
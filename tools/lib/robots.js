@@ -0,0 +1,72 @@
+/**
+ * Minimal robots.txt support for the local proxy: user-agent groups,
+ * Allow/Disallow with * and $ wildcards, longest match wins.
+ */
+
+/**
+ * Parse robots.txt into [{ agents: [...], rules: [{ allow, path }] }].
+ */
+function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const key = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (key === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) continue;
+        if ((key === 'allow' || key === 'disallow') && value) {
+            current.rules.push({ allow: key === 'allow', path: value });
+        }
+    }
+
+    return groups;
+}
+
+function ruleMatches(rulePath, path) {
+    const pattern = rulePath
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\\\$$/, '$');
+    return new RegExp('^' + pattern).test(path);
+}
+
+/**
+ * Whether userAgent may fetch path (pathname + search) under these groups.
+ * Uses the most specific matching agent group, falling back to "*".
+ */
+function isAllowed(groups, userAgent, path) {
+    const agent = userAgent.toLowerCase();
+    const named = groups.filter(group => group.agents.some(a => a !== '*' && agent.includes(a)));
+    const applicable = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+
+    let best = null;
+    applicable.forEach(group => group.rules.forEach(rule => {
+        if (!ruleMatches(rule.path, path)) return;
+        // Longest path wins; Allow wins a tie
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }));
+
+    return !best || best.allow;
+}
+
+module.exports = { parseRobots, isAllowed };
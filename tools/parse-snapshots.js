@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Batch-run the yacht parser over saved broker pages.
+ *
+ * Usage:
+ *   node tools/parse-snapshots.js <file.html|dir> [...more] [--url <pageUrl>] [--out <report.json>]
+ *
+ * The page URL for each snapshot is taken from --url, or from the
+ * "saved from url=" comment browsers write when saving a page. Requires
+ * jsdom as the DOM shim (npm install jsdom).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadParser } = require('./lib/load-parser');
+
+function parseArgs(argv) {
+    const args = { inputs: [], url: null, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') {
+            args.url = argv[++i];
+        } else if (argv[i] === '--out') {
+            args.out = argv[++i];
+        } else {
+            args.inputs.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function collectSnapshots(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(name => /\.html?$/i.test(name))
+                .sort()
+                .forEach(name => files.push(path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+function snapshotUrl(html, explicitUrl) {
+    if (explicitUrl) return explicitUrl;
+    const saved = html.match(/saved from url=\(\d+\)(\S+?)\s*-->/i);
+    return saved ? saved[1] : 'https://example.com/';
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.inputs.length === 0) {
+        console.error('Usage: node tools/parse-snapshots.js <file.html|dir> [--url <pageUrl>] [--out <report.json>]');
+        process.exit(1);
+    }
+
+    const YachtParser = loadParser();
+
+    const results = collectSnapshots(args.inputs).map(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        const url = snapshotUrl(html, args.url);
+        const { yachts, error, report } = YachtParser.parseYachtListings(html, url);
+
+        console.log(`${file}: ${error ? 'ERROR ' + error : yachts.length + ' yachts'}`);
+        return { file, url, error, yachts, debug: report.debug, validation: report.validation, inference: report.inference };
+    });
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(results, null, 2));
+        console.log(`Report written to ${args.out}`);
+    }
+}
+
+main();
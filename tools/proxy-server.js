@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Local fetch proxy for list-yacht.html.
+ *
+ * Replaces the public CORS proxies while developing or running imports:
+ * fetches broker pages with our own user-agent, follows redirects, times
+ * out slow sites, honours robots.txt and caches successful responses on
+ * disk. Cached pages are served for --cache-ttl seconds, then revalidated
+ * upstream with If-None-Match / If-Modified-Since. The import page uses it
+ * when CONFIG.FETCH_PROVIDERS lists 'local' (the default) and falls back to
+ * the public proxies when it is not running.
+ *
+ * Usage:
+ *   node tools/proxy-server.js [--port 8787] [--host 127.0.0.1] [--user-agent <ua>]
+ *                              [--timeout <ms>] [--cache-ttl <seconds>] [--cache-dir <dir>]
+ *                              [--max-redirects <n>] [--ignore-robots]
+ *
+ * Endpoints:
+ *   GET /fetch?url=<page>[&refresh=1]
+ *                          page body; X-Final-Url is the URL after redirects,
+ *                          X-Cache is HIT, REVALIDATED or MISS. Honours the
+ *                          caller's If-None-Match / If-Modified-Since (304);
+ *                          refresh=1 skips the cache. (Not Cache-Control:
+ *                          fetch() adds no-cache to every conditional request.)
+ *   GET /health            {"ok": true}
+ *
+ * Binds to localhost only: it will fetch any URL it is given.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { parseRobots, isAllowed } = require('./lib/robots');
+
+const DEFAULTS = {
+    port: 8787,
+    host: '127.0.0.1',
+    userAgent: 'YachtsTraderBot/1.0 (+https://yachtstrader.com; support@yachtstrader.com)',
+    timeout: 15000,
+    cacheTtl: 600,
+    cacheDir: path.join(os.tmpdir(), 'yachtstrader-page-cache'),
+    maxRedirects: 5,
+    ignoreRobots: false
+};
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port': options.port = parseInt(argv[++i]); break;
+            case '--host': options.host = argv[++i]; break;
+            case '--user-agent': options.userAgent = argv[++i]; break;
+            case '--timeout': options.timeout = parseInt(argv[++i]); break;
+            case '--cache-ttl': options.cacheTtl = parseInt(argv[++i]); break;
+            case '--cache-dir': options.cacheDir = argv[++i]; break;
+            case '--max-redirects': options.maxRedirects = parseInt(argv[++i]); break;
+            case '--ignore-robots': options.ignoreRobots = true; break;
+            default:
+                console.error(`Unknown option ${argv[i]}`);
+                process.exit(1);
+        }
+    }
+    return options;
+}
+
+// Error carrying the HTTP status the proxy should answer with
+function proxyError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * One JSON file per URL under dir. Entries are kept after their TTL so
+ * they can be revalidated.
+ */
+function createDiskCache(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = url => path.join(dir, crypto.createHash('sha1').update(url).digest('hex') + '.json');
+
+    return {
+        read(url) {
+            try {
+                return JSON.parse(fs.readFileSync(file(url), 'utf8'));
+            } catch {
+                return null;
+            }
+        },
+        write(url, entry) {
+            fs.writeFileSync(file(url), JSON.stringify(entry));
+        }
+    };
+}
+
+/**
+ * Upstream fetching with robots.txt checks, manual redirect following and
+ * a disk cache of 2xx responses. get(url, { force }) resolves to
+ * { status, body, contentType, finalUrl, etag, lastModified, cache }.
+ */
+function createFetcher(options) {
+    options = { ...DEFAULTS, ...options };
+    const cache = createDiskCache(options.cacheDir);
+    const robots = new Map(); // origin -> Promise<groups>
+
+    function request(url, validators = {}) {
+        const headers = {
+            'User-Agent': options.userAgent,
+            'Accept': 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.8'
+        };
+        if (validators.etag) headers['If-None-Match'] = validators.etag;
+        if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+        return fetch(url, {
+            redirect: 'manual',
+            headers,
+            signal: AbortSignal.timeout(options.timeout)
+        });
+    }
+
+    // Redirects are followed (http -> https, apex -> www); the rules found
+    // still apply to the origin that was asked for
+    async function fetchRobots(origin) {
+        let current = `${origin}/robots.txt`;
+        for (let hop = 0; hop <= options.maxRedirects; hop++) {
+            const response = await request(current);
+            const location = response.headers.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                current = new URL(location, current).href;
+                continue;
+            }
+            return response.ok ? response.text() : '';
+        }
+        return '';
+    }
+
+    // A missing or unreadable robots.txt allows everything
+    function robotsFor(origin) {
+        if (!robots.has(origin)) {
+            robots.set(origin, fetchRobots(origin)
+                .then(parseRobots)
+                .catch(() => []));
+        }
+        return robots.get(origin);
+    }
+
+    async function fetchUpstream(url, validators) {
+        let current = url;
+
+        for (let hop = 0; hop <= options.maxRedirects; hop++) {
+            const target = new URL(current);
+            if (!options.ignoreRobots) {
+                const groups = await robotsFor(target.origin);
+                if (!isAllowed(groups, options.userAgent, target.pathname + target.search)) {
+                    throw proxyError(403, `Blocked by robots.txt: ${current}`);
+                }
+            }
+
+            let response;
+            try {
+                response = await request(current, validators);
+            } catch (e) {
+                if (e.name === 'TimeoutError') throw proxyError(504, `Timed out after ${options.timeout}ms: ${current}`);
+                throw proxyError(502, `${e.message}: ${current}`);
+            }
+
+            const location = response.headers.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                current = new URL(location, current).href;
+                continue;
+            }
+
+            return {
+                status: response.status,
+                body: await response.text(),
+                contentType: response.headers.get('content-type') || 'text/html',
+                finalUrl: current,
+                etag: response.headers.get('etag'),
+                lastModified: response.headers.get('last-modified')
+            };
+        }
+
+        throw proxyError(508, `More than ${options.maxRedirects} redirects: ${url}`);
+    }
+
+    async function get(url, { force = false } = {}) {
+        const cached = force ? null : cache.read(url);
+        if (cached && Date.now() - cached.fetchedAt < options.cacheTtl * 1000) {
+            return { ...cached, cache: 'HIT' };
+        }
+
+        const page = await fetchUpstream(url, cached || {});
+        if (page.status === 304 && cached) {
+            cached.fetchedAt = Date.now();
+            cache.write(url, cached);
+            return { ...cached, cache: 'REVALIDATED' };
+        }
+
+        if (page.status >= 200 && page.status < 300) {
+            cache.write(url, { ...page, fetchedAt: Date.now() });
+        }
+        return { ...page, cache: 'MISS' };
+    }
+
+    return { get };
+}
+
+function createProxyServer(options) {
+    options = { ...DEFAULTS, ...options };
+    const fetcher = createFetcher(options);
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'X-Final-Url, X-Cache, X-Blocked-By, ETag, Last-Modified'
+    };
+
+    return http.createServer(async (req, res) => {
+        const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { ...corsHeaders, 'Access-Control-Allow-Headers': '*' });
+            res.end();
+            return;
+        }
+
+        if (requestUrl.pathname === '/health') {
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true }));
+            return;
+        }
+
+        if (requestUrl.pathname !== '/fetch' || req.method !== 'GET') {
+            res.writeHead(404, { ...corsHeaders, 'Content-Type': 'text/plain' });
+            res.end('Use GET /fetch?url=<page>');
+            return;
+        }
+
+        const target = requestUrl.searchParams.get('url') || '';
+        if (!/^https?:\/\//i.test(target)) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'text/plain' });
+            res.end('The url parameter must be an http(s) URL');
+            return;
+        }
+
+        try {
+            const force = requestUrl.searchParams.get('refresh') === '1';
+            const page = await fetcher.get(target, { force });
+            const headers = {
+                ...corsHeaders,
+                'Content-Type': page.contentType,
+                'X-Final-Url': page.finalUrl,
+                'X-Cache': page.cache
+            };
+            if (page.etag) headers['ETag'] = page.etag;
+            if (page.lastModified) headers['Last-Modified'] = page.lastModified;
+
+            // The caller already holds this version
+            const notModified = page.status === 200 && (
+                (page.etag && req.headers['if-none-match'] === page.etag) ||
+                (page.lastModified && req.headers['if-modified-since'] === page.lastModified));
+
+            res.writeHead(notModified ? 304 : page.status, headers);
+            res.end(notModified ? undefined : page.body);
+            console.log(`${notModified ? 304 : page.status} ${page.cache.padEnd(11)} ${target}`);
+        } catch (e) {
+            const status = e.status || 502;
+            const headers = { ...corsHeaders, 'Content-Type': 'text/plain' };
+            if (/robots\.txt/.test(e.message)) headers['X-Blocked-By'] = 'robots.txt';
+            res.writeHead(status, headers);
+            res.end(e.message);
+            console.log(`${status} ${'ERROR'.padEnd(11)} ${target} - ${e.message}`);
+        }
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    createProxyServer(options).listen(options.port, options.host, () => {
+        console.log(`Yacht fetch proxy on http://${options.host}:${options.port}/fetch?url=...`);
+        console.log(`User-Agent: ${options.userAgent}`);
+        console.log(`robots.txt: ${options.ignoreRobots ? 'ignored' : 'honoured'}, timeout ${options.timeout}ms`);
+        console.log(`Cache: ${options.cacheDir} (TTL ${options.cacheTtl}s, then revalidated)`);
+    });
+}
+
+module.exports = { createProxyServer, createFetcher, createDiskCache, DEFAULTS };
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Adapter regression runner.
+ *
+ * Feeds every fixture under fixtures/<adapter>/ through parseYachtListings,
+ * diffs the result field-by-field against the expected JSON and enforces the
+ * Testing Checklist from adding-site-adapters.md. Exits non-zero on failure.
+ * A folder's adapter.json config, if any, is registered first.
+ *
+ * Usage:
+ *   node tools/run-fixtures.js [adapter ...] [--update]
+ *
+ * --update rewrites each expected file from the current parser output; review
+ * the resulting git diff before committing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadParser } = require('./lib/load-parser');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Fields written by --update and compared when present in the expected file
+const FIXTURE_FIELDS = ['title', 'price', 'priceRaw', 'priceStatus', 'year', 'length', 'lengthUnit', 'type', 'make', 'model', 'location', 'detailUrl', 'images'];
+
+// detectPagination() fields written by --update for paginated pages and
+// compared when the expected file has "pagination"
+const PAGINATION_FIELDS = ['current', 'total', 'kind', 'template', 'step', 'label', 'links', 'urls'];
+
+// Site validation of a rejected page: written by --update when the page is
+// rejected and compared when the expected file has "validation"
+function validationSummary(validation) {
+    return {
+        valid: validation.valid,
+        score: validation.score,
+        nonBroker: validation.nonBroker ? validation.nonBroker.kind : null,
+        reason: validation.reason || null,
+        signals: validation.signals.map(({ id, score, evidence }) => ({ id, score, evidence }))
+    };
+}
+
+// Testing Checklist thresholds
+const CHECKLIST = {
+    MIN_YEAR: 1950,
+    MIN_LENGTH_FT: 15,
+    MAX_LENGTH_FT: 500,
+    MIN_CONFIDENCE: 60
+};
+
+// A fixture folder may carry the JSON config it tests as adapter.json, so a
+// new config can be checked before it is listed in docs/adapters/manifest.json
+const FIXTURE_CONFIG = 'adapter.json';
+
+function registerFixtureConfigs(YachtParser, fixtures) {
+    new Set(fixtures.map(fixture => fixture.adapter)).forEach(adapter => {
+        const configPath = path.join(FIXTURES_DIR, adapter, FIXTURE_CONFIG);
+        if (fs.existsSync(configPath)) {
+            YachtParser.registerAdapterConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+        }
+    });
+}
+
+function findFixtures(adapters) {
+    const fixtures = [];
+    const dirs = adapters.length > 0 ? adapters : fs.readdirSync(FIXTURES_DIR)
+        .filter(name => fs.statSync(path.join(FIXTURES_DIR, name)).isDirectory());
+
+    for (const adapter of dirs.sort()) {
+        const dir = path.join(FIXTURES_DIR, adapter);
+        fs.readdirSync(dir)
+            .filter(name => name.endsWith('.html'))
+            .sort()
+            .forEach(name => {
+                const base = name.replace(/\.html$/, '');
+                fixtures.push({
+                    adapter,
+                    name: `${adapter}/${base}`,
+                    htmlPath: path.join(dir, name),
+                    expectedPath: path.join(dir, base + '.json')
+                });
+            });
+    }
+    return fixtures;
+}
+
+function pick(yacht, fields) {
+    const out = {};
+    fields.forEach(field => { out[field] = yacht[field] === undefined ? null : yacht[field]; });
+    return out;
+}
+
+function diffValue(pathName, expected, actual, diffs) {
+    if (Array.isArray(expected)) {
+        if (!Array.isArray(actual)) {
+            diffs.push(`${pathName}: expected array, got ${JSON.stringify(actual)}`);
+            return;
+        }
+        if (expected.length !== actual.length) {
+            diffs.push(`${pathName}.length: expected ${expected.length}, got ${actual.length}`);
+        }
+        expected.forEach((item, i) => diffValue(`${pathName}[${i}]`, item, actual[i], diffs));
+        return;
+    }
+
+    if (expected && typeof expected === 'object') {
+        if (!actual || typeof actual !== 'object') {
+            diffs.push(`${pathName}: missing`);
+            return;
+        }
+        Object.keys(expected).forEach(key => diffValue(`${pathName}.${key}`, expected[key], actual[key], diffs));
+        return;
+    }
+
+    if (JSON.stringify(expected) !== JSON.stringify(actual === undefined ? null : actual)) {
+        diffs.push(`${pathName}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+function checkChecklist(yachts, problems) {
+    const maxYear = new Date().getFullYear() + 1;
+    const seen = new Set();
+
+    yachts.forEach((yacht, i) => {
+        const label = `yachts[${i}] "${yacht.title}"`;
+
+        if (yacht.year) {
+            const year = parseInt(yacht.year);
+            if (year < CHECKLIST.MIN_YEAR || year > maxYear) {
+                problems.push(`${label}: year ${yacht.year} outside ${CHECKLIST.MIN_YEAR}-${maxYear}`);
+            }
+        }
+
+        if (yacht.length) {
+            const feet = parseFloat(yacht.length) * (yacht.lengthUnit === 'm' ? 3.28084 : 1);
+            if (feet < CHECKLIST.MIN_LENGTH_FT || feet > CHECKLIST.MAX_LENGTH_FT) {
+                problems.push(`${label}: length ${yacht.length}${yacht.lengthUnit} outside ${CHECKLIST.MIN_LENGTH_FT}-${CHECKLIST.MAX_LENGTH_FT}ft`);
+            }
+        }
+
+        if (yacht.confidence.overall <= CHECKLIST.MIN_CONFIDENCE) {
+            problems.push(`${label}: confidence ${yacht.confidence.overall} not above ${CHECKLIST.MIN_CONFIDENCE}`);
+        }
+
+        const key = yacht.detailUrl || `${(yacht.title || '').toLowerCase()}|${yacht.priceRaw || 0}`;
+        if (seen.has(key)) problems.push(`${label}: duplicate listing (${key})`);
+        seen.add(key);
+    });
+}
+
+function runFixture(YachtParser, fixture, update) {
+    const html = fs.readFileSync(fixture.htmlPath, 'utf8');
+    const expected = fs.existsSync(fixture.expectedPath)
+        ? JSON.parse(fs.readFileSync(fixture.expectedPath, 'utf8'))
+        : null;
+
+    if (!expected && !update) {
+        return { problems: [`missing expected file ${path.basename(fixture.expectedPath)} (run with --update to create it)`] };
+    }
+
+    const url = expected ? expected.url : (html.match(/saved from url=\(\d+\)(\S+?)\s*-->/i) || [])[1];
+    if (!url) {
+        return { problems: ['no page URL: add "url" to the expected file or a "saved from url=" comment to the HTML'] };
+    }
+
+    const { yachts, error, report } = YachtParser.parseYachtListings(html, url);
+    const validation = validationSummary(report.validation);
+    const pagination = pick(YachtParser.detectPagination(html, url), PAGINATION_FIELDS);
+
+    if (update) {
+        const fields = expected && expected.fields ? expected.fields : FIXTURE_FIELDS;
+        const updated = { url, adapter: fixture.adapter, fields };
+        if (!validation.valid || (expected && expected.validation)) updated.validation = validation;
+        if (pagination.total > 1 || (expected && expected.pagination)) updated.pagination = pagination;
+        updated.yachts = yachts.map(yacht => pick(yacht, fields));
+        fs.writeFileSync(fixture.expectedPath, JSON.stringify(updated, null, 2) + '\n');
+        return { problems: [], updated: true };
+    }
+
+    const problems = [];
+    // A rejected-page fixture expects the error and checks the validation instead
+    if (error && !expected.validation) problems.push(`parser error: ${error}`);
+    if (expected.validation) diffValue('validation', expected.validation, validation, problems);
+
+    yachts.forEach((yacht, i) => {
+        if (yacht.source !== expected.adapter) {
+            problems.push(`yachts[${i}].source: expected "${expected.adapter}", got "${yacht.source}"`);
+        }
+    });
+
+    const fields = expected.fields || FIXTURE_FIELDS;
+    diffValue('yachts', expected.yachts, yachts.map(yacht => pick(yacht, fields)), problems);
+    if (expected.pagination) diffValue('pagination', expected.pagination, pagination, problems);
+    checkChecklist(yachts, problems);
+
+    return { problems };
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const update = argv.includes('--update');
+    const adapters = argv.filter(arg => !arg.startsWith('--'));
+
+    const YachtParser = loadParser();
+    const fixtures = findFixtures(adapters);
+    registerFixtureConfigs(YachtParser, fixtures);
+    let failed = 0;
+
+    fixtures.forEach(fixture => {
+        const { problems, updated } = runFixture(YachtParser, fixture, update);
+        if (updated) {
+            console.log(`UPDATED ${fixture.name}`);
+        } else if (problems.length === 0) {
+            console.log(`PASS    ${fixture.name}`);
+        } else {
+            failed++;
+            console.log(`FAIL    ${fixture.name}`);
+            problems.forEach(problem => console.log(`        - ${problem}`));
+        }
+    });
+
+    console.log(`\n${fixtures.length - failed}/${fixtures.length} fixtures passed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
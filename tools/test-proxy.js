@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Tests for the local fetch proxy: robots.txt matching, and redirect
+ * following against a local upstream (two origins on 127.0.0.1, so a
+ * robots.txt redirect crosses origins like apex -> www does).
+ *
+ * Usage:
+ *   node tools/test-proxy.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+
+const { parseRobots, isAllowed } = require('./lib/robots');
+const { createFetcher } = require('./proxy-server');
+
+const UA = 'YachtsTraderBot/1.0 (+https://yachtstrader.com)';
+
+// ============================================================================
+// ROBOTS.TXT MATCHING
+// ============================================================================
+
+test('* matches any run of characters and $ anchors the end', () => {
+    const groups = parseRobots([
+        'User-agent: *',
+        'Disallow: /*.pdf$',
+        'Disallow: /search*sort='
+    ].join('\n'));
+
+    assert.strictEqual(isAllowed(groups, UA, '/brochures/lagoon-42.pdf'), false);
+    assert.strictEqual(isAllowed(groups, UA, '/brochures/lagoon-42.pdf?v=2'), true);
+    assert.strictEqual(isAllowed(groups, UA, '/search?type=sail&sort=price'), false);
+    assert.strictEqual(isAllowed(groups, UA, '/search?type=sail'), true);
+});
+
+test('the longest matching rule wins and Allow wins a tie', () => {
+    const groups = parseRobots([
+        'User-agent: *',
+        'Disallow: /boats/',
+        'Allow: /boats/for-sale/',
+        'Disallow: /boats/for-sale/archive',
+        'Allow: /tie',
+        'Disallow: /tie'
+    ].join('\n'));
+
+    assert.strictEqual(isAllowed(groups, UA, '/boats/sold/1'), false);
+    assert.strictEqual(isAllowed(groups, UA, '/boats/for-sale/1'), true);
+    assert.strictEqual(isAllowed(groups, UA, '/boats/for-sale/archive/1'), false);
+    assert.strictEqual(isAllowed(groups, UA, '/tie'), true);
+    assert.strictEqual(isAllowed(groups, UA, '/'), true);
+});
+
+test('a group naming our agent replaces the * group', () => {
+    const groups = parseRobots([
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        'User-agent: OtherBot',
+        'User-agent: YachtsTraderBot',
+        'Disallow: /private/'
+    ].join('\n'));
+
+    assert.strictEqual(isAllowed(groups, UA, '/boats/1'), true);
+    assert.strictEqual(isAllowed(groups, UA, '/private/1'), false);
+    assert.strictEqual(isAllowed(groups, 'SomeCrawler/2.0', '/boats/1'), false);
+});
+
+// ============================================================================
+// REDIRECTS (local upstream)
+// ============================================================================
+
+let apex, www, cacheDir;
+
+function listen(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer(handler);
+        server.listen(0, '127.0.0.1', () => {
+            server.origin = `http://127.0.0.1:${server.address().port}`;
+            resolve(server);
+        });
+    });
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+    res.end(body);
+}
+
+before(async () => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yachtstrader-proxy-test-'));
+
+    www = await listen((req, res) => {
+        if (req.url === '/robots.txt') return send(res, 200, 'User-agent: *\nDisallow: /private/\n');
+        if (req.url === '/old') return send(res, 302, '', { Location: '/boats/1' });
+        if (req.url === '/loop') return send(res, 302, '', { Location: '/loop' });
+        send(res, 200, `www ${req.url}`);
+    });
+
+    // Serves its own pages but sends robots.txt and /old to www
+    apex = await listen((req, res) => {
+        if (req.url === '/robots.txt' || req.url === '/old') return send(res, 301, '', { Location: www.origin + req.url });
+        send(res, 200, `apex ${req.url}`);
+    });
+});
+
+after(() => {
+    apex.close();
+    www.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+function fetcher() {
+    return createFetcher({ userAgent: UA, cacheDir, cacheTtl: 0, maxRedirects: 3, timeout: 5000 });
+}
+
+test('redirects are followed and the final URL reported', async () => {
+    const page = await fetcher().get(`${apex.origin}/old`, { force: true });
+
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.body, 'www /boats/1');
+    assert.strictEqual(page.finalUrl, `${www.origin}/boats/1`);
+});
+
+test('a redirect loop stops at --max-redirects', async () => {
+    await assert.rejects(fetcher().get(`${www.origin}/loop`, { force: true }), { status: 508 });
+});
+
+test('a redirected robots.txt still applies to the origin asked for', async () => {
+    const blocked = await fetcher().get(`${apex.origin}/private/1`, { force: true }).catch(e => e);
+
+    assert.strictEqual(blocked.status, 403);
+    assert.match(blocked.message, /robots\.txt/);
+
+    const page = await fetcher().get(`${apex.origin}/boats/2`, { force: true });
+    assert.strictEqual(page.body, 'apex /boats/2');
+});